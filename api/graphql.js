@@ -0,0 +1,5 @@
+import { createVercelHandler } from '../lib/vercel.js';
+import { handleGraphQL } from '../lib/graphql.js';
+
+// Served at /graphql through the rewrite in vercel.json
+export default createVercelHandler(['GET', 'POST'], handleGraphQL);
@@ -0,0 +1,4 @@
+import { createVercelHandler } from '../lib/vercel.js';
+import { getPortfolio } from '../lib/handlers.js';
+
+export default createVercelHandler('POST', getPortfolio);
@@ -0,0 +1,4 @@
+import { createVercelHandler } from '../../lib/vercel.js';
+import { suggest } from '../../lib/handlers.js';
+
+export default createVercelHandler('GET', suggest);
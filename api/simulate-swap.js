@@ -0,0 +1,4 @@
+import { createVercelHandler } from '../lib/vercel.js';
+import { simulateSwap } from '../lib/handlers.js';
+
+export default createVercelHandler('POST', simulateSwap);
@@ -0,0 +1,362 @@
+// lib/access.js - API keys, per-client rate limits, daily quotas and CORS origins
+//
+// A client is an API key (sent as "Authorization: Bearer <key>" or X-API-Key)
+// or, without one, an IP address on the anonymous tier. Keys are listed in
+// config/access.json (ACCESS_CONFIG overrides the path) by their SHA-256 hash,
+// so the file never holds a usable key:
+//   { "id": "dashboard", "hash": "<sha256 hex>", "tier": "standard",
+//     "origins": ["https://dashboard.example.com"], "admin": false }
+// Each tier has a fixed-window rate limit and a daily quota (UTC days). A
+// request uses its route's `cost` (default 1) of both, so routes that call
+// STON.fi on every request run out sooner. Limited responses carry
+// RateLimit-Limit/-Remaining/-Reset for whichever limit is closer to running
+// out and RateLimit-Policy listing both. A key with origins only works from
+// those browser origins. Counters live in memory, per process.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { registry } = require('./metrics');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config', 'access.json');
+const ACCESS_LEVELS = ['open', 'limited', 'admin']; // Route `access`, limited by default
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_TRACKED_CLIENTS = parseInt(process.env.ACCESS_MAX_TRACKED_CLIENTS) || 10000;
+const TOP_ANONYMOUS_CLIENTS = 20;
+
+// Response headers browsers may read cross-origin
+const EXPOSED_HEADERS = [
+  'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy',
+  'Retry-After', 'X-Request-Id', 'X-Snapshot-Id'
+];
+
+const accessRejected = registry.counter(
+  'stonfi_access_rejected_total',
+  'Requests rejected by access control, by tier and reason',
+  ['tier', 'reason']
+);
+
+let config = null;
+
+// SHA-256 hex of an API key, as listed in the config
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// Load (once) and validate the tiers and keys
+function loadConfig(file = process.env.ACCESS_CONFIG || DEFAULT_CONFIG_FILE) {
+  if (config && config.file === file) return config;
+
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const tiers = raw.tiers || {};
+  if (!tiers.anonymous) throw new Error('Access config: an "anonymous" tier is required');
+
+  Object.entries(tiers).forEach(([name, tier]) => {
+    const rateLimit = tier.rateLimit || {};
+    if (!(rateLimit.limit > 0) || !(rateLimit.window > 0)) {
+      throw new Error(`Tier ${name}: rateLimit needs a positive limit and window (ms)`);
+    }
+    if (tier.dailyQuota !== undefined && !(tier.dailyQuota > 0)) {
+      throw new Error(`Tier ${name}: dailyQuota must be a positive number`);
+    }
+  });
+
+  const keys = new Map();
+  (raw.keys || []).forEach(key => {
+    if (!key.id || !/^[0-9a-f]{64}$/.test(key.hash || '')) {
+      throw new Error(`API key ${key.id || '(no id)'}: needs an id and a SHA-256 hex hash`);
+    }
+    const tier = key.tier || 'standard';
+    if (!tiers[tier] || tier === 'anonymous') throw new Error(`API key ${key.id}: unknown tier ${tier}`);
+
+    keys.set(key.hash, {
+      id: key.id,
+      name: key.name || key.id,
+      tier,
+      origins: key.origins || null, // null for any origin
+      admin: key.admin === true,
+      disabled: key.disabled === true
+    });
+  });
+
+  config = {
+    file,
+    tiers,
+    keys,
+    anonymousOrigins: raw.anonymousOrigins || ['*']
+  };
+  return config;
+}
+
+// Helper function to read the API key from the request headers (null when there is none)
+function getApiKey(req) {
+  const headers = req.headers || {};
+  const authorization = String(headers.authorization || '');
+  const bearer = authorization.match(/^Bearer\s+(\S+)$/i);
+  if (bearer) return bearer[1];
+  return headers['x-api-key'] ? String(headers['x-api-key']) : null;
+}
+
+// Helper function to find the client's IP address (Vercel always sets X-Forwarded-For;
+// behind another proxy, set TRUST_PROXY so Express fills in req.ip)
+function getClientIp(req) {
+  if (req.ip) return req.ip;
+  const forwarded = req.headers && req.headers['x-forwarded-for'];
+  if (process.env.VERCEL && forwarded) return String(forwarded).split(',')[0].trim();
+  return (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+// Helper function to check an origin against an allow-list ("*" allows any)
+function originAllowed(origins, origin) {
+  return !origins || origins.includes('*') || origins.includes(origin);
+}
+
+// Helper function to name the UTC day of a timestamp, e.g. 2024-05-01
+function utcDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+// Create the access control for the routes: identify, limit and count each request
+function createAccessControl({ configFile } = {}) {
+  const clients = new Map(); // Client id -> counters
+  const anonymousTotals = { requests: 0, rateLimited: 0, quotaExceeded: 0 }; // Survive pruning
+
+  // Helper function to drop anonymous clients not seen today once there are too many
+  function prune(now) {
+    if (clients.size <= MAX_TRACKED_CLIENTS) return;
+    const today = utcDay(now);
+    const anonymous = [...clients.values()].filter(client => client.anonymous);
+    anonymous.filter(client => client.day.date !== today).forEach(client => clients.delete(client.id));
+
+    if (clients.size > MAX_TRACKED_CLIENTS) {
+      anonymous
+        .filter(client => clients.has(client.id))
+        .sort((a, b) => a.lastSeenAt - b.lastSeenAt)
+        .slice(0, clients.size - MAX_TRACKED_CLIENTS)
+        .forEach(client => clients.delete(client.id));
+    }
+  }
+
+  function getClient(id, fields, now) {
+    if (!clients.has(id)) {
+      prune(now);
+      clients.set(id, {
+        id,
+        ...fields,
+        window: { start: now, count: 0 },
+        day: { date: utcDay(now), count: 0 },
+        totals: { requests: 0, rateLimited: 0, quotaExceeded: 0 },
+        routes: {},
+        lastSeenAt: now
+      });
+    }
+    return clients.get(id);
+  }
+
+  // Work out who is calling; { client } or { error: { status, reason, body } }
+  function identify(req, now) {
+    const { keys, anonymousOrigins } = loadConfig(configFile);
+    const origin = req.headers && req.headers.origin;
+    const apiKey = getApiKey(req);
+
+    if (apiKey !== null) {
+      const key = keys.get(hashKey(apiKey));
+      if (!key || key.disabled) {
+        return { error: { status: 401, reason: 'invalid_key', tier: 'unknown', body: { success: false, error: 'Invalid API key' } } };
+      }
+      if (origin && !originAllowed(key.origins, origin)) {
+        return { error: { status: 403, reason: 'origin', tier: key.tier, body: { success: false, error: `Origin ${origin} is not allowed for this API key` } } };
+      }
+      return { client: getClient(`key:${key.id}`, { keyId: key.id, tier: key.tier, admin: key.admin, anonymous: false }, now) };
+    }
+
+    if (origin && !originAllowed(anonymousOrigins, origin)) {
+      return { error: { status: 403, reason: 'origin', tier: 'anonymous', body: { success: false, error: `Origin ${origin} requires an API key` } } };
+    }
+    const ip = getClientIp(req);
+    return { client: getClient(`ip:${ip}`, { ip, tier: 'anonymous', admin: false, anonymous: true }, now) };
+  }
+
+  // Use `cost` of the client's rate limit and quota; returns the limit states and,
+  // when a limit is exhausted, which one (nothing is used up then)
+  function consume(client, cost, now) {
+    const tier = loadConfig(configFile).tiers[client.tier];
+    const { limit, window } = tier.rateLimit;
+
+    if (now >= client.window.start + window) client.window = { start: now, count: 0 };
+    if (client.day.date !== utcDay(now)) client.day = { date: utcDay(now), count: 0 };
+
+    const nextMidnight = Math.floor(now / DAY) * DAY + DAY;
+    const rate = {
+      limit,
+      window,
+      used: client.window.count,
+      reset: Math.ceil((client.window.start + window - now) / 1000)
+    };
+    const quota = tier.dailyQuota ? {
+      limit: tier.dailyQuota,
+      window: DAY,
+      used: client.day.count,
+      reset: Math.ceil((nextMidnight - now) / 1000)
+    } : null;
+
+    let exceeded = null;
+    if (rate.used + cost > rate.limit) {
+      exceeded = 'rate_limit';
+    } else if (quota && quota.used + cost > quota.limit) {
+      exceeded = 'quota';
+    } else {
+      client.window.count += cost;
+      client.day.count += cost;
+      rate.used += cost;
+      if (quota) quota.used += cost;
+    }
+
+    return { rate, quota, exceeded };
+  }
+
+  // Helper function to set the RateLimit-* headers for the limit closest to running out
+  function setRateLimitHeaders(res, { rate, quota }) {
+    const remaining = limit => Math.max(0, limit.limit - limit.used);
+    const closest = quota && remaining(quota) < remaining(rate) ? quota : rate;
+
+    res.setHeader('RateLimit-Limit', String(closest.limit));
+    res.setHeader('RateLimit-Remaining', String(remaining(closest)));
+    res.setHeader('RateLimit-Reset', String(closest.reset));
+    res.setHeader('RateLimit-Policy', [rate, quota]
+      .filter(Boolean)
+      .map(limit => `${limit.limit};w=${limit.window / 1000}`)
+      .join(', '));
+  }
+
+  // Helper function to count a request against the client (and the anonymous totals)
+  function record(client, field, now) {
+    client.totals[field]++;
+    client.lastSeenAt = now;
+    if (client.anonymous) anonymousTotals[field]++;
+  }
+
+  // Wrap a route handler with the route's access level; sets req.client for handlers
+  function protect(route, handler) {
+    const access = route.access || 'limited';
+    if (access === 'open') return handler;
+
+    return function protectedHandler(req, res) {
+      const now = Date.now();
+      const identified = identify(req, now);
+      if (identified.error) {
+        accessRejected.inc({ tier: identified.error.tier, reason: identified.error.reason });
+        return res.status(identified.error.status).json(identified.error.body);
+      }
+
+      const client = identified.client;
+      req.client = { id: client.keyId || null, tier: client.tier, anonymous: client.anonymous, admin: client.admin };
+      if (req.log) req.log = req.log.child({ client: client.keyId || 'anonymous', tier: client.tier });
+
+      if (access === 'admin' && !client.admin) {
+        accessRejected.inc({ tier: client.tier, reason: 'forbidden' });
+        return client.anonymous
+          ? res.status(401).json({ success: false, error: 'API key required' })
+          : res.status(403).json({ success: false, error: 'Admin API key required' });
+      }
+
+      const cost = typeof route.cost === 'function' ? route.cost(req) : route.cost || 1;
+      const limits = consume(client, cost, now);
+      setRateLimitHeaders(res, limits);
+
+      if (limits.exceeded) {
+        const exhausted = limits.exceeded === 'quota' ? limits.quota : limits.rate;
+        record(client, limits.exceeded === 'quota' ? 'quotaExceeded' : 'rateLimited', now);
+        accessRejected.inc({ tier: client.tier, reason: limits.exceeded });
+        res.setHeader('Retry-After', String(exhausted.reset));
+        return res.status(429).json({
+          success: false,
+          error: limits.exceeded === 'quota' ? 'Daily quota exceeded' : 'Rate limit exceeded',
+          message: `The ${client.tier} tier allows ${exhausted.limit} request units per ` +
+            `${limits.exceeded === 'quota' ? 'day' : `${exhausted.window / 1000}s`}` +
+            `${cost > 1 ? ` and this request costs ${cost}` : ''}`,
+          retryAfter: exhausted.reset
+        });
+      }
+
+      record(client, 'requests', now);
+      const routeKey = `${req.method} ${route.path}`;
+      client.routes[routeKey] = (client.routes[routeKey] || 0) + 1;
+      return handler(req, res);
+    };
+  }
+
+  // Helper function to present a client's counters in the usage report
+  function describeUsage(client, tier, now) {
+    const today = client && client.day.date === utcDay(now) ? client.day.count : 0;
+    return {
+      today: today,
+      dailyQuota: tier.dailyQuota || null,
+      requests: client ? client.totals.requests : 0,
+      rateLimited: client ? client.totals.rateLimited : 0,
+      quotaExceeded: client ? client.totals.quotaExceeded : 0,
+      lastSeenAt: client ? client.lastSeenAt : null,
+      routes: client ? client.routes : {}
+    };
+  }
+
+  // Usage per configured key plus the anonymous tier, since this process started
+  function getUsage() {
+    const now = Date.now();
+    const { tiers, keys } = loadConfig(configFile);
+    const anonymous = [...clients.values()].filter(client => client.anonymous);
+    const activeToday = anonymous.filter(client => client.day.date === utcDay(now));
+
+    return {
+      day: utcDay(now),
+      tiers: Object.entries(tiers).map(([name, tier]) => ({
+        name,
+        description: tier.description || null,
+        rateLimit: tier.rateLimit,
+        dailyQuota: tier.dailyQuota || null
+      })),
+      keys: [...keys.values()].map(key => ({
+        id: key.id,
+        name: key.name,
+        tier: key.tier,
+        admin: key.admin,
+        disabled: key.disabled,
+        origins: key.origins,
+        usage: describeUsage(clients.get(`key:${key.id}`), tiers[key.tier], now)
+      })),
+      anonymous: {
+        ...anonymousTotals,
+        clientsToday: activeToday.length,
+        requestsToday: activeToday.reduce((total, client) => total + client.day.count, 0),
+        topClients: activeToday
+          .sort((a, b) => b.day.count - a.day.count)
+          .slice(0, TOP_ANONYMOUS_CLIENTS)
+          .map(client => ({ ip: client.ip, ...describeUsage(client, tiers.anonymous, now) }))
+      }
+    };
+  }
+
+  // Options for the cors middleware: answer preflights for any origin some client
+  // may use (the per-key allow-list is enforced on the request itself)
+  const corsOptions = {
+    origin: (origin, callback) => {
+      const { keys, anonymousOrigins } = loadConfig(configFile);
+      const allowed = !origin || originAllowed(anonymousOrigins, origin) ||
+        [...keys.values()].some(key => !key.disabled && originAllowed(key.origins, origin));
+      callback(null, allowed);
+    },
+    exposedHeaders: EXPOSED_HEADERS
+  };
+
+  return {
+    protect,
+    getUsage,
+    corsOptions
+  };
+}
+
+module.exports = {
+  ACCESS_LEVELS,
+  hashKey,
+  loadConfig,
+  createAccessControl
+};
@@ -0,0 +1,132 @@
+// lib/address.js - TON address parsing and normalization
+//
+// A TON address is a workchain id and a 32-byte account hash. Wallets and
+// explorers show it in one of three forms:
+//   raw            0:83dfd552e63729b472fcbcc8c45ebcc6691702558b68ec7527e1ba403a0f31a8
+//   bounceable     EQCD39VS5jcptHL8vMjEXrzGaRcCVYto7HUn4bpAOg8xqB2N
+//   non-bounceable UQCD39VS5jcptHL8vMjEXrzGaRcCVYto7HUn4bpAOg8xqEBI
+// The user-friendly forms are 36 bytes in base64 (url-safe or standard): a
+// flags byte (bounceable or not, test-only), the workchain, the hash and a
+// CRC16 checksum, which is checked so a mistyped address is rejected rather
+// than reported as "not found". Every address we store or return is in the
+// canonical form: bounceable, url-safe base64, mainnet - the form STON.fi uses
+// for pools and jettons. Lookups normalize their input to it, so any of the
+// three forms finds the same pool or token.
+
+const BOUNCEABLE_TAG = 0x11;
+const NON_BOUNCEABLE_TAG = 0x51;
+const TEST_ONLY_FLAG = 0x80;
+
+const RAW_PATTERN = /^(-?\d{1,3}):([0-9a-fA-F]{64})$/;
+const FRIENDLY_PATTERN = /^[A-Za-z0-9+/_-]{48}$/;
+
+// CRC16-XMODEM (polynomial 0x1021, initial value 0), as used by user-friendly addresses
+function crc16(bytes) {
+  let crc = 0;
+  for (const byte of bytes) {
+    crc ^= byte << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+}
+
+// Helper function to parse the raw form (workchain:hex)
+function parseRaw(text) {
+  const match = RAW_PATTERN.exec(text);
+  if (!match) return null;
+
+  const workchain = parseInt(match[1], 10);
+  if (workchain < -128 || workchain > 127) return null;
+
+  return {
+    workchain,
+    hash: Buffer.from(match[2], 'hex'),
+    bounceable: true,
+    testOnly: false,
+    format: 'raw'
+  };
+}
+
+// Helper function to parse a user-friendly form, checking its flags and checksum
+function parseFriendly(text) {
+  if (!FRIENDLY_PATTERN.test(text)) return null;
+  // Either base64 alphabet, but not a mix of both
+  if (/[+/]/.test(text) && /[-_]/.test(text)) return null;
+
+  const bytes = Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  if (bytes.length !== 36) return null;
+  if (crc16(bytes.subarray(0, 34)) !== bytes.readUInt16BE(34)) return null;
+
+  const testOnly = (bytes[0] & TEST_ONLY_FLAG) !== 0;
+  const tag = bytes[0] & ~TEST_ONLY_FLAG;
+  if (tag !== BOUNCEABLE_TAG && tag !== NON_BOUNCEABLE_TAG) return null;
+
+  return {
+    workchain: bytes.readInt8(1),
+    hash: Buffer.from(bytes.subarray(2, 34)),
+    bounceable: tag === BOUNCEABLE_TAG,
+    testOnly,
+    format: 'friendly'
+  };
+}
+
+// Parse an address in any of the three forms: { workchain, hash, bounceable,
+// testOnly, format } or null when it isn't a valid address
+function parseAddress(value) {
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  return parseRaw(text) || parseFriendly(text);
+}
+
+// Render a parsed address in the user-friendly form
+function formatAddress(address, { bounceable = true, testOnly = false, urlSafe = true } = {}) {
+  const bytes = Buffer.alloc(36);
+  bytes[0] = (bounceable ? BOUNCEABLE_TAG : NON_BOUNCEABLE_TAG) | (testOnly ? TEST_ONLY_FLAG : 0);
+  bytes.writeInt8(address.workchain, 1);
+  address.hash.copy(bytes, 2);
+  bytes.writeUInt16BE(crc16(bytes.subarray(0, 34)), 34);
+
+  const text = bytes.toString('base64');
+  return urlSafe ? text.replace(/\+/g, '-').replace(/\//g, '_') : text;
+}
+
+// Render a parsed address in the raw form
+function formatRawAddress(address) {
+  return `${address.workchain}:${address.hash.toString('hex')}`;
+}
+
+// Canonical form of an address given in any form, or null if it isn't one
+function normalizeAddress(value) {
+  const address = parseAddress(value);
+  return address ? formatAddress(address) : null;
+}
+
+// Canonical form of an address from upstream data or config, keeping the value
+// as it was when it doesn't parse (so a malformed entry stays visible, unmatched)
+function toCanonicalAddress(value) {
+  return normalizeAddress(value) || value;
+}
+
+// Every form of an address, for responses that echo what a lookup resolved to
+function describeAddress(value) {
+  const address = parseAddress(value);
+  if (!address) return null;
+  return {
+    canonical: formatAddress(address),
+    raw: formatRawAddress(address),
+    bounceable: formatAddress(address, { bounceable: true }),
+    nonBounceable: formatAddress(address, { bounceable: false })
+  };
+}
+
+module.exports = {
+  crc16,
+  parseAddress,
+  formatAddress,
+  formatRawAddress,
+  normalizeAddress,
+  toCanonicalAddress,
+  describeAddress
+};
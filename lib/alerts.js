@@ -0,0 +1,325 @@
+// lib/alerts.js - Price alert rules evaluated on every refreshed snapshot
+//
+// A rule watches one pool (poolAddress) or one token (tokenAddress) and fires
+// a signed webhook (see lib/webhooks.js) when its condition holds:
+//   price_cross     - price crosses `threshold` (direction: above, below or any)
+//   price_change    - price moves at least `threshold` percent within `window` ms
+//   liquidity_below - liquidity drops below `threshold` USD
+//   volume_above    - 24h volume exceeds `threshold` USD
+// For a token, price is its USD price and liquidity/volume are summed over
+// every pool it trades in. A rule is silent for `cooldown` ms after firing.
+// Rules are persisted to ALERTS_FILE (default ./data/alerts.json).
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWebhookSender } = require('./webhooks');
+const { describeSnapshot } = require('./snapshot');
+const { logger } = require('./logger');
+const { toCanonicalAddress } = require('./address');
+
+const RULE_TYPES = ['price_cross', 'price_change', 'liquidity_below', 'volume_above'];
+const DIRECTIONS = ['above', 'below', 'any'];
+
+const DEFAULT_WINDOW = 60 * 60 * 1000; // 1 hour for price_change
+const DEFAULT_COOLDOWN = 15 * 60 * 1000; // 15 minutes between firings
+
+const alertsLogger = logger.child({ component: 'alerts' });
+
+const DEFAULT_FILE = process.env.VERCEL
+  ? path.join(os.tmpdir(), 'stonfi-alerts.json') // Only /tmp is writable on Vercel
+  : path.join(__dirname, '..', 'data', 'alerts.json');
+
+// Fields a client may set on a rule; everything else is managed by the server
+const EDITABLE_FIELDS = [
+  'name', 'type', 'poolAddress', 'tokenAddress', 'threshold', 'direction',
+  'window', 'cooldown', 'webhookUrl', 'secret', 'enabled'
+];
+
+// Helper function to validate a rule, returning a list of { field, message } problems
+function validateRule(rule) {
+  const errors = [];
+
+  if (!RULE_TYPES.includes(rule.type)) {
+    errors.push({ field: 'type', message: `must be one of: ${RULE_TYPES.join(', ')}` });
+  }
+  if (!rule.poolAddress === !rule.tokenAddress) {
+    errors.push({ field: 'poolAddress', message: 'exactly one of poolAddress or tokenAddress is required' });
+  }
+  if (typeof rule.threshold !== 'number' || !Number.isFinite(rule.threshold) || rule.threshold < 0) {
+    errors.push({ field: 'threshold', message: 'must be a non-negative number' });
+  }
+  if (rule.direction !== undefined && !DIRECTIONS.includes(rule.direction)) {
+    errors.push({ field: 'direction', message: `must be one of: ${DIRECTIONS.join(', ')}` });
+  }
+  ['window', 'cooldown'].forEach(field => {
+    if (rule[field] !== undefined && (!Number.isInteger(rule[field]) || rule[field] < 0)) {
+      errors.push({ field, message: 'must be a non-negative integer (milliseconds)' });
+    }
+  });
+  if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+    errors.push({ field: 'enabled', message: 'must be a boolean' });
+  }
+
+  try {
+    const url = new URL(rule.webhookUrl);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      errors.push({ field: 'webhookUrl', message: 'must be an http(s) URL' });
+    }
+  } catch (error) {
+    errors.push({ field: 'webhookUrl', message: 'must be a valid URL' });
+  }
+
+  return errors;
+}
+
+// Helper function to copy only the client-editable fields of a request body
+function pickEditable(body) {
+  const rule = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) rule[field] = body[field];
+  });
+  return rule;
+}
+
+// Helper function to put a persisted rule's addresses in canonical form (rules
+// saved before addresses were normalized may hold any form)
+function normalizeRule(rule) {
+  const normalized = { ...rule };
+  if (rule.poolAddress) normalized.poolAddress = toCanonicalAddress(rule.poolAddress);
+  if (rule.tokenAddress) normalized.tokenAddress = toCanonicalAddress(rule.tokenAddress);
+  return normalized;
+}
+
+// Helper function to hide the signing secret in API responses
+function toPublicRule(rule) {
+  const { secret, ...publicRule } = rule;
+  return { ...publicRule, hasSecret: Boolean(secret) };
+}
+
+// Helper function to read a rule's watched metrics from a snapshot
+function readMetrics(rule, snapshot) {
+  if (rule.poolAddress) {
+    const pair = snapshot.pairIndex.get(rule.poolAddress);
+    if (!pair) return null;
+    return {
+      name: pair.name,
+      price: pair.price,
+      liquidity: pair.liquidity,
+      volume24h: pair.volume24h
+    };
+  }
+
+  let symbol = null;
+  let price = 0;
+  let liquidity = 0;
+  let volume24h = 0;
+  let found = false;
+
+  snapshot.pairs.forEach(pair => {
+    const token = pair.token0.address === rule.tokenAddress ? pair.token0
+      : pair.token1.address === rule.tokenAddress ? pair.token1
+      : null;
+    if (!token) return;
+
+    found = true;
+    symbol = token.symbol;
+    price = price || token.usdPrice;
+    liquidity += pair.liquidity;
+    volume24h += pair.volume24h;
+  });
+
+  if (!found) return null;
+  return { name: symbol, price, liquidity, volume24h };
+}
+
+// Create the alert manager: rule storage plus snapshot evaluation
+function createAlertManager({
+  snapshots,
+  file = process.env.ALERTS_FILE || DEFAULT_FILE,
+  webhooks = createWebhookSender()
+}) {
+  const rules = new Map();
+  // Per-rule evaluation state kept in memory: last price and recent samples
+  const state = new Map();
+  let saveQueue = Promise.resolve();
+
+  // Load persisted rules once at startup
+  try {
+    JSON.parse(fs.readFileSync(file, 'utf8')).forEach(rule => rules.set(rule.id, normalizeRule(rule)));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      alertsLogger.error('Error loading alert rules', { file, error });
+    }
+  }
+
+  function save() {
+    const data = JSON.stringify([...rules.values()], null, 2);
+    saveQueue = saveQueue.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmpFile = `${file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmpFile, data);
+      await fs.promises.rename(tmpFile, file);
+    });
+    return saveQueue;
+  }
+
+  function list() {
+    return [...rules.values()].map(toPublicRule);
+  }
+
+  function get(id) {
+    const rule = rules.get(id);
+    return rule ? toPublicRule(rule) : null;
+  }
+
+  // Create a rule; resolves with { errors } when the body is invalid
+  async function create(body) {
+    const now = Date.now();
+    const rule = {
+      direction: 'any',
+      window: DEFAULT_WINDOW,
+      cooldown: DEFAULT_COOLDOWN,
+      enabled: true,
+      ...pickEditable(body || {})
+    };
+
+    const errors = validateRule(rule);
+    if (errors.length > 0) return { errors };
+
+    rule.id = crypto.randomUUID();
+    rule.createdAt = now;
+    rule.updatedAt = now;
+    rule.lastTriggeredAt = null;
+
+    rules.set(rule.id, rule);
+    await save();
+    return { rule: toPublicRule(rule) };
+  }
+
+  // Update a rule with the given fields; resolves with null if it does not exist
+  async function update(id, body) {
+    const existing = rules.get(id);
+    if (!existing) return null;
+
+    const rule = { ...existing, ...pickEditable(body || {}) };
+    // Switching between a pool and a token target replaces the old one
+    if (body && body.poolAddress) delete rule.tokenAddress;
+    if (body && body.tokenAddress) delete rule.poolAddress;
+
+    const errors = validateRule(rule);
+    if (errors.length > 0) return { errors };
+
+    rule.updatedAt = Date.now();
+    rules.set(id, rule);
+    state.delete(id);
+    await save();
+    return { rule: toPublicRule(rule) };
+  }
+
+  async function remove(id) {
+    if (!rules.delete(id)) return false;
+    state.delete(id);
+    await save();
+    return true;
+  }
+
+  // Check one rule against a snapshot, returning the trigger details if it fires
+  function evaluate(rule, snapshot) {
+    const metrics = readMetrics(rule, snapshot);
+    if (!metrics) return null;
+
+    const ruleState = state.get(rule.id) || { lastPrice: null, samples: [] };
+    state.set(rule.id, ruleState);
+
+    const previousPrice = ruleState.lastPrice;
+    ruleState.lastPrice = metrics.price;
+
+    switch (rule.type) {
+      case 'price_cross': {
+        if (previousPrice === null) return null;
+        const crossedUp = previousPrice < rule.threshold && metrics.price >= rule.threshold;
+        const crossedDown = previousPrice > rule.threshold && metrics.price <= rule.threshold;
+        if ((crossedUp && rule.direction !== 'below') || (crossedDown && rule.direction !== 'above')) {
+          return { metrics, previousPrice, direction: crossedUp ? 'above' : 'below' };
+        }
+        return null;
+      }
+
+      case 'price_change': {
+        const now = snapshot.createdAt;
+        ruleState.samples = ruleState.samples.filter(sample => now - sample.t <= rule.window);
+        ruleState.samples.push({ t: now, price: metrics.price });
+
+        const reference = ruleState.samples[0];
+        if (!reference || reference.price <= 0) return null;
+        const changePercent = ((metrics.price - reference.price) / reference.price) * 100;
+        if (Math.abs(changePercent) >= rule.threshold) {
+          return { metrics, referencePrice: reference.price, referenceTime: reference.t, changePercent };
+        }
+        return null;
+      }
+
+      case 'liquidity_below':
+        return metrics.liquidity < rule.threshold ? { metrics } : null;
+
+      case 'volume_above':
+        return metrics.volume24h > rule.threshold ? { metrics } : null;
+
+      default:
+        return null;
+    }
+  }
+
+  // Evaluate every enabled rule against a new snapshot and fire webhooks
+  function handleSnapshot(snapshot) {
+    const now = Date.now();
+
+    rules.forEach(rule => {
+      if (!rule.enabled) return;
+
+      const trigger = evaluate(rule, snapshot);
+      if (!trigger) return;
+      if (rule.lastTriggeredAt && now - rule.lastTriggeredAt < rule.cooldown) return;
+
+      rule.lastTriggeredAt = now;
+      save().catch(error => alertsLogger.error('Error saving alert rules', { error }));
+
+      const payload = {
+        event: 'alert.triggered',
+        rule: toPublicRule(rule),
+        target: rule.poolAddress
+          ? { type: 'pool', address: rule.poolAddress, name: trigger.metrics.name }
+          : { type: 'token', address: rule.tokenAddress, symbol: trigger.metrics.name },
+        trigger: trigger,
+        snapshot: describeSnapshot(snapshot),
+        triggeredAt: new Date(now).toISOString()
+      };
+
+      // One delivery per rule per snapshot, so a retried or repeated evaluation is never sent twice
+      webhooks.send(rule.webhookUrl, payload, {
+        deliveryId: `${rule.id}:${snapshot.id}`,
+        secret: rule.secret
+      });
+    });
+  }
+
+  snapshots.on('snapshot', handleSnapshot);
+
+  return {
+    file,
+    list,
+    get,
+    create,
+    update,
+    remove,
+    evaluate
+  };
+}
+
+module.exports = {
+  RULE_TYPES,
+  DIRECTIONS,
+  createAlertManager,
+  validateRule
+};
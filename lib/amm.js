@@ -0,0 +1,114 @@
+// lib/amm.js - Constant-product (x * y = k) swap math on pool reserves
+//
+// Amounts and reserves are in raw token units (no decimals applied). Fees are
+// in basis points and taken from the input amount, as STON.fi pools do. Float
+// math gives the prices and impacts; the unit amounts are also computed exactly
+// with BigInt from the pair's exact reserves and returned as strings.
+const { parseUnits } = require('./decimal');
+
+// Output amount for swapping amountIn through a pool with the given reserves
+function getAmountOut(amountIn, reserveIn, reserveOut, feeBps) {
+  if (amountIn <= 0 || reserveIn <= 0 || reserveOut <= 0) return 0;
+  const amountInWithFee = amountIn * (10000 - feeBps) / 10000;
+  return (amountInWithFee * reserveOut) / (reserveIn + amountInWithFee);
+}
+
+// Exact (BigInt) output amount, rounded down like the pool contract does
+function getAmountOutExact(amountIn, reserveIn, reserveOut, feeBps) {
+  if (amountIn <= 0n || reserveIn <= 0n || reserveOut <= 0n) return 0n;
+  const amountInWithFee = amountIn * BigInt(10000 - Math.round(feeBps));
+  return (amountInWithFee * reserveOut) / (reserveIn * 10000n + amountInWithFee);
+}
+
+// Helper function to orient a pair for a swap starting from the given token
+function orientPair(pair, tokenInAddress) {
+  if (pair.token0.address === tokenInAddress) {
+    return {
+      tokenIn: pair.token0,
+      tokenOut: pair.token1,
+      reserveIn: pair.reserves.token0,
+      reserveOut: pair.reserves.token1,
+      exactReserveIn: pair.exact ? parseUnits(pair.exact.reserves.token0) : null,
+      exactReserveOut: pair.exact ? parseUnits(pair.exact.reserves.token1) : null
+    };
+  }
+  if (pair.token1.address === tokenInAddress) {
+    return {
+      tokenIn: pair.token1,
+      tokenOut: pair.token0,
+      reserveIn: pair.reserves.token1,
+      reserveOut: pair.reserves.token0,
+      exactReserveIn: pair.exact ? parseUnits(pair.exact.reserves.token1) : null,
+      exactReserveOut: pair.exact ? parseUnits(pair.exact.reserves.token0) : null
+    };
+  }
+  return null;
+}
+
+// Quote a single swap through a pair, starting from tokenInAddress
+//
+// amountIn is in raw units, as a number or a BigInt (pass a BigInt to chain
+// exact amounts across hops). priceImpact excludes the fee: it is how much
+// worse the execution price is than the pool's spot price once the fee has
+// been taken.
+function quoteSwap(pair, tokenInAddress, amountInUnits) {
+  const side = orientPair(pair, tokenInAddress);
+  if (!side) return null;
+
+  const { tokenIn, tokenOut, reserveIn, reserveOut } = side;
+  const exactAmountIn = typeof amountInUnits === 'bigint'
+    ? amountInUnits
+    : BigInt(Math.max(0, Math.floor(amountInUnits)));
+  const amountIn = Number(amountInUnits);
+  const feeBps = pair.feeBps;
+  const amountOut = getAmountOut(amountIn, reserveIn, reserveOut, feeBps);
+  const exactAmountOut = side.exactReserveIn !== null
+    ? getAmountOutExact(exactAmountIn, side.exactReserveIn, side.exactReserveOut, feeBps)
+    : null;
+  const feeFactor = (10000 - feeBps) / 10000;
+
+  // Prices in whole tokens (decimals applied) of tokenOut per tokenIn
+  const decimalsFactor = Math.pow(10, parseInt(tokenIn.decimals || '9') - parseInt(tokenOut.decimals || '9'));
+  const spotPrice = reserveIn > 0 ? (reserveOut / reserveIn) * decimalsFactor : 0;
+  const executionPrice = amountIn > 0 ? (amountOut / amountIn) * decimalsFactor : 0;
+  const priceImpact = spotPrice > 0 ? Math.max(0, 1 - executionPrice / (spotPrice * feeFactor)) : 1;
+
+  return {
+    poolAddress: pair.poolAddress,
+    name: pair.name,
+    tokenIn: tokenIn,
+    tokenOut: tokenOut,
+    amountInUnits: amountIn,
+    amountOutUnits: amountOut,
+    amountIn: toTokenAmount(amountIn, tokenIn.decimals),
+    amountOut: toTokenAmount(amountOut, tokenOut.decimals),
+    feeBps: feeBps,
+    feeAmount: toTokenAmount(amountIn * feeBps / 10000, tokenIn.decimals),
+    spotPrice: spotPrice,
+    executionPrice: executionPrice,
+    priceImpact: priceImpact,
+    exact: exactAmountOut !== null ? {
+      amountInUnits: exactAmountIn.toString(),
+      amountOutUnits: exactAmountOut.toString()
+    } : null
+  };
+}
+
+// Helper function to convert raw units into whole tokens
+function toTokenAmount(units, decimals) {
+  return units / Math.pow(10, parseInt(decimals || '9'));
+}
+
+// Helper function to convert whole tokens into raw units
+function toUnits(amount, decimals) {
+  return amount * Math.pow(10, parseInt(decimals || '9'));
+}
+
+module.exports = {
+  getAmountOut,
+  getAmountOutExact,
+  orientPair,
+  quoteSwap,
+  toTokenAmount,
+  toUnits
+};
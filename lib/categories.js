@@ -0,0 +1,134 @@
+// lib/categories.js - Token tags and pair categories from config/categories.json
+//
+// Tags are attached to tokens by contract address, or by exact symbol or kind
+// for verified (non-community) assets, so a look-alike jetton never picks up a
+// tag. A category is a rule over the tags of a pair's two tokens: with
+// sides "any" one token must carry one of the category's tags, with "both"
+// each token must. Several categories can be combined with categoryMatch=any
+// (a pair matches at least one) or all (a pair matches every one).
+const fs = require('fs');
+const path = require('path');
+const { normalizeAddress } = require('./address');
+
+const DEFAULT_REGISTRY_FILE = path.join(__dirname, '..', 'config', 'categories.json');
+const SIDES = ['any', 'both'];
+const CATEGORY_MATCHES = ['any', 'all'];
+
+let registry = null;
+
+// Load (once) and validate the category registry
+function loadRegistry(file = process.env.CATEGORIES_FILE || DEFAULT_REGISTRY_FILE) {
+  if (registry && registry.file === file) return registry;
+
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const tags = raw.tags || {};
+  const categories = raw.categories || {};
+
+  // Addresses may be written in any form; snapshot assets carry the canonical one
+  Object.entries(tags).forEach(([name, tag]) => {
+    tag.addresses = (tag.addresses || []).map(address => {
+      const canonical = normalizeAddress(address);
+      if (!canonical) throw new Error(`Tag ${name}: invalid address ${address}`);
+      return canonical;
+    });
+  });
+
+  Object.entries(categories).forEach(([name, category]) => {
+    if (!SIDES.includes(category.sides || 'any')) {
+      throw new Error(`Category ${name}: sides must be one of: ${SIDES.join(', ')}`);
+    }
+    (category.tags || []).forEach(tag => {
+      if (!tags[tag]) throw new Error(`Category ${name}: unknown tag ${tag}`);
+    });
+  });
+
+  registry = { file, tags, categories };
+  return registry;
+}
+
+// Tags of an asset, in registry order
+function getTokenTags(asset) {
+  const { tags } = loadRegistry();
+  return Object.keys(tags).filter(name => {
+    const tag = tags[name];
+    if ((tag.addresses || []).includes(asset.contractAddress)) return true;
+    if (asset.community) return false;
+    return (tag.symbols || []).includes(asset.symbol) || (tag.kinds || []).includes(asset.kind);
+  });
+}
+
+// Helper function to check one category rule against a pair's token tags
+function matchesCategory(pair, name) {
+  const category = loadRegistry().categories[name];
+  const hasTag = token => (token.tags || []).some(tag => category.tags.includes(tag));
+
+  return (category.sides || 'any') === 'both'
+    ? hasTag(pair.token0) && hasTag(pair.token1)
+    : hasTag(pair.token0) || hasTag(pair.token1);
+}
+
+// Check a pair against several categories with any/all semantics
+function pairMatchesCategories(pair, names, match = 'any') {
+  if (names.length === 0) return true;
+  return match === 'all'
+    ? names.every(name => matchesCategory(pair, name))
+    : names.some(name => matchesCategory(pair, name));
+}
+
+// Helper function to parse a comma-separated category list ("all" or empty for no filter).
+// Returns { categories, invalid } so callers can reject unknown names.
+function parseCategories(value) {
+  const names = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(name => name.trim())
+    .filter(name => name && name !== 'all');
+  const { categories } = loadRegistry();
+
+  return {
+    categories: names.filter(name => categories[name]),
+    invalid: names.filter(name => !categories[name])
+  };
+}
+
+// Every category and tag, with how many pairs/tokens of a snapshot they cover
+function describeRegistry(pairs) {
+  const { tags, categories } = loadRegistry();
+  const tokenCounts = {};
+  const seen = new Set();
+
+  pairs.forEach(pair => {
+    [pair.token0, pair.token1].forEach(token => {
+      if (seen.has(token.address)) return;
+      seen.add(token.address);
+      (token.tags || []).forEach(tag => {
+        tokenCounts[tag] = (tokenCounts[tag] || 0) + 1;
+      });
+    });
+  });
+
+  return {
+    categories: Object.entries(categories).map(([name, category]) => ({
+      name: name,
+      description: category.description || '',
+      tags: category.tags || [],
+      sides: category.sides || 'any',
+      pairCount: pairs.filter(pair => matchesCategory(pair, name)).length
+    })),
+    tags: Object.entries(tags).map(([name, tag]) => ({
+      name: name,
+      description: tag.description || '',
+      symbols: tag.symbols || [],
+      addresses: tag.addresses || [],
+      tokenCount: tokenCounts[name] || 0
+    }))
+  };
+}
+
+module.exports = {
+  SIDES,
+  CATEGORY_MATCHES,
+  loadRegistry,
+  getTokenTags,
+  pairMatchesCategories,
+  parseCategories,
+  describeRegistry
+};
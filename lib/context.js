@@ -0,0 +1,71 @@
+// lib/context.js - Process-wide singletons shared by every route handler
+const { createDataSource } = require('./dataSource');
+const { createSnapshotStore } = require('./snapshot');
+const { createHistoryStore } = require('./history');
+const { createPriceStream } = require('./stream');
+const { createAlertManager } = require('./alerts');
+const { createAccessControl } = require('./access');
+const { registry } = require('./metrics');
+const { logger } = require('./logger');
+const { PAIR_FLAGS } = require('./pairs');
+
+// Initialize STON.fi data source (live, record or replay - see lib/dataSource.js)
+const dataSource = createDataSource();
+
+// Single versioned snapshot of pairs shared by all routes (see lib/snapshot.js)
+const snapshots = createSnapshotStore({ dataSource });
+
+// Price history sampled from every refreshed snapshot (see lib/history.js)
+const history = createHistoryStore();
+
+snapshots.on('snapshot', snapshot => {
+  history.record(snapshot).catch(error => {
+    logger.error('Error recording price history', { component: 'history', error });
+  });
+});
+
+// Server-Sent Events hub pushing price deltas (see lib/stream.js)
+const priceStream = createPriceStream(snapshots);
+
+// Alert rules checked against every refreshed snapshot (see lib/alerts.js)
+const alerts = createAlertManager({ snapshots });
+
+// API keys, rate limits and quotas applied to every route (see lib/access.js)
+const access = createAccessControl();
+
+// Snapshot and stream gauges, read when /metrics is scraped (see lib/metrics.js)
+registry.gauge('stonfi_snapshot_age_seconds', 'Age of the current snapshot', () => {
+  const snapshot = snapshots.peek();
+  return snapshot ? (Date.now() - snapshot.createdAt) / 1000 : null;
+});
+registry.gauge('stonfi_snapshot_version', 'Version of the current snapshot', () => {
+  const snapshot = snapshots.peek();
+  return snapshot ? snapshot.version : null;
+});
+registry.gauge('stonfi_snapshot_items', 'Assets, pools and trading pairs in the current snapshot', () => {
+  const snapshot = snapshots.peek();
+  if (!snapshot) return null;
+  return [
+    { labels: { kind: 'assets' }, value: snapshot.assets.length },
+    { labels: { kind: 'pools' }, value: snapshot.pools.length },
+    { labels: { kind: 'pairs' }, value: snapshot.pairs.length }
+  ];
+});
+registry.gauge('stonfi_snapshot_flagged_pairs', 'Trading pairs carrying each quality flag', () => {
+  const snapshot = snapshots.peek();
+  if (!snapshot) return null;
+  return PAIR_FLAGS.map(flag => ({
+    labels: { flag },
+    value: snapshot.pairs.filter(pair => pair.flags.includes(flag)).length
+  }));
+});
+registry.gauge('stonfi_stream_subscribers', 'Open price stream (SSE) connections', () => priceStream.getSubscriberCount());
+
+module.exports = {
+  dataSource,
+  snapshots,
+  history,
+  priceStream,
+  alerts,
+  access
+};
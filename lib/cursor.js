@@ -0,0 +1,91 @@
+// lib/cursor.js - Opaque cursors for paging through one pinned snapshot
+//
+// A cursor records the snapshot a walk started on, a hash of the query that
+// produced the list, and the sort key and pool address of the last row
+// returned. Every page of the walk is cut from that same snapshot (the store
+// retains a few, see lib/snapshot.js), so rows can't shift, repeat or vanish
+// between pages. Once the snapshot is dropped the cursor is expired and the
+// walk has to start over.
+const crypto = require('crypto');
+const { getSortValue } = require('./query');
+
+// Field behind each legacy sortBy value
+const LEGACY_SORT_FIELDS = {
+  liquidity: 'liquidity',
+  volume: 'volume24h',
+  apy: 'apy',
+  name: 'name',
+  price: 'price'
+};
+
+// Hash the parameters that decide which rows are listed and in what order
+function hashQuery(filters) {
+  return crypto.createHash('sha256').update(JSON.stringify(filters)).digest('hex').slice(0, 16);
+}
+
+// Helper function to list the fields a set of filters sorts on
+function getSortFields(filters) {
+  return filters.sort && filters.sort.length > 0
+    ? filters.sort.map(key => key.field)
+    : [LEGACY_SORT_FIELDS[filters.sortBy] || 'liquidity'];
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+// Decode a cursor string, null when it is malformed
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    const valid = cursor && typeof cursor.snapshotId === 'string' && typeof cursor.query === 'string' &&
+      typeof cursor.after === 'string' && Array.isArray(cursor.key);
+    return valid ? cursor : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Cut one page after the cursor position (or from the start without a cursor).
+// Returns null when the cursor doesn't point at a row of this list.
+function paginateWithCursor(pairs, { snapshot, filters, cursor, limit }) {
+  const sortFields = getSortFields(filters);
+  let startIndex = 0;
+
+  if (cursor) {
+    const index = pairs.findIndex(pair => pair.poolAddress === cursor.after);
+    if (index === -1) return null;
+    const key = sortFields.map(field => getSortValue(pairs[index], field));
+    if (JSON.stringify(key) !== JSON.stringify(cursor.key)) return null;
+    startIndex = index + 1;
+  }
+
+  const data = pairs.slice(startIndex, startIndex + limit);
+  const last = data[data.length - 1];
+  const hasNextPage = startIndex + limit < pairs.length;
+
+  return {
+    data: data,
+    pagination: {
+      mode: 'cursor',
+      itemsPerPage: limit,
+      totalItems: pairs.length,
+      startIndex: startIndex + 1,
+      endIndex: startIndex + data.length,
+      hasNextPage: hasNextPage,
+      nextCursor: hasNextPage ? encodeCursor({
+        snapshotId: snapshot.id,
+        query: hashQuery(filters),
+        key: sortFields.map(field => getSortValue(last, field)),
+        after: last.poolAddress
+      }) : null
+    }
+  };
+}
+
+module.exports = {
+  hashQuery,
+  encodeCursor,
+  decodeCursor,
+  paginateWithCursor
+};
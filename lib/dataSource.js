@@ -0,0 +1,175 @@
+// lib/dataSource.js - Pluggable source for STON.fi asset and pool data
+//
+// Routes never talk to the STON.fi SDK directly; they go through a data source
+// selected with the STONFI_DATA_SOURCE environment variable:
+//   live   - call the STON.fi API (default)
+//   record - call the STON.fi API and save the raw responses to disk
+//   replay - serve previously recorded responses, no network needed
+//
+// Fixtures live in STONFI_FIXTURES_DIR (default ./fixtures) under a named set
+// chosen with STONFI_FIXTURE_SET (default "default").
+//
+// Every call is timed and counted in the upstream metrics (see lib/metrics.js),
+// so slow or failing STON.fi calls show up apart from our own request latency.
+// Live and record sources also get timeouts, retries and a circuit breaker
+// (see lib/upstream.js); replay reads local files and needs neither.
+const fs = require('fs');
+const path = require('path');
+const { StonApiClient } = require('@ston-fi/api');
+const { recordUpstreamCall } = require('./metrics');
+const { createResilientSource } = require('./upstream');
+const { logger } = require('./logger');
+
+const MODES = ['live', 'record', 'replay'];
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+const DEFAULT_FIXTURE_SET = 'default';
+
+// Helper function to check whether a pool trades the given pair in either order
+function poolMatchesPair(pool, asset0Address, asset1Address) {
+  return (pool.token0Address === asset0Address && pool.token1Address === asset1Address) ||
+         (pool.token0Address === asset1Address && pool.token1Address === asset0Address);
+}
+
+// Helper function to unwrap list responses that may come wrapped in an object
+function toList(response, key) {
+  return (response && response[key]) || response || [];
+}
+
+// Live data source backed by the STON.fi SDK
+function createLiveSource(client = new StonApiClient()) {
+  return {
+    mode: 'live',
+    getAssets: () => client.getAssets(),
+    getPools: () => client.getPools(),
+    getPoolsByAssetPair: (query) => client.getPoolsByAssetPair(query),
+    simulateSwap: (params) => client.simulateSwap(params),
+    getWalletAssets: (walletAddress) => client.getWalletAssets(walletAddress),
+    getWalletPools: (walletAddress) => client.getWalletPools({ walletAddress })
+  };
+}
+
+// Recording data source: behaves like the live one and saves every raw
+// asset/pool response so it can be replayed later
+function createRecordingSource(fixtureDir, client) {
+  const live = createLiveSource(client);
+
+  async function save(name, data) {
+    await fs.promises.mkdir(fixtureDir, { recursive: true });
+    const file = path.join(fixtureDir, `${name}.json`);
+    const tmpFile = `${file}.${process.pid}.tmp`;
+    // Write then rename so a crash never leaves a half-written fixture behind
+    await fs.promises.writeFile(tmpFile, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tmpFile, file);
+    return data;
+  }
+
+  return {
+    mode: 'record',
+    fixtureDir,
+    getAssets: async () => save('assets', await live.getAssets()),
+    getPools: async () => save('pools', await live.getPools()),
+    getPoolsByAssetPair: live.getPoolsByAssetPair,
+    simulateSwap: live.simulateSwap,
+    getWalletAssets: live.getWalletAssets,
+    getWalletPools: live.getWalletPools
+  };
+}
+
+// Replaying data source: serves recorded fixtures without touching the network
+function createReplaySource(fixtureDir) {
+  async function load(name) {
+    const file = path.join(fixtureDir, `${name}.json`);
+    let raw;
+    try {
+      raw = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No recorded ${name} fixture at ${file}. Run once with STONFI_DATA_SOURCE=record to capture one.`);
+      }
+      throw error;
+    }
+    return JSON.parse(raw);
+  }
+
+  return {
+    mode: 'replay',
+    fixtureDir,
+    getAssets: () => load('assets'),
+    getPools: () => load('pools'),
+    // Answered from the recorded pool list so pair lookups work offline too
+    getPoolsByAssetPair: async ({ asset0Address, asset1Address }) => {
+      const pools = toList(await load('pools'), 'pool_list');
+      return pools.filter(pool => poolMatchesPair(pool, asset0Address, asset1Address));
+    },
+    simulateSwap: async () => {
+      throw new Error('Swap simulation is not available in replay mode');
+    },
+    getWalletAssets: async () => {
+      throw new Error('Wallet lookups are not available in replay mode');
+    },
+    getWalletPools: async () => {
+      throw new Error('Wallet lookups are not available in replay mode');
+    }
+  };
+}
+
+const upstreamLogger = logger.child({ component: 'upstream' });
+
+// Wrap every call of a data source with latency/error metrics and a log entry on failure
+function instrumentSource(source) {
+  const instrumented = { ...source };
+
+  Object.entries(source).forEach(([operation, call]) => {
+    if (typeof call !== 'function') return;
+
+    instrumented[operation] = async (...args) => {
+      const start = process.hrtime.bigint();
+      const elapsed = () => Number(process.hrtime.bigint() - start) / 1e9;
+      try {
+        const result = await call(...args);
+        recordUpstreamCall(source.mode, operation, elapsed());
+        return result;
+      } catch (error) {
+        const seconds = elapsed();
+        recordUpstreamCall(source.mode, operation, seconds, error);
+        upstreamLogger.warn('Upstream call failed', {
+          source: source.mode,
+          operation,
+          durationMs: Math.round(seconds * 1e6) / 1e3,
+          error
+        });
+        throw error;
+      }
+    };
+  });
+
+  return instrumented;
+}
+
+// Create the data source described by the options, falling back to env vars
+function createDataSource(options = {}) {
+  const mode = (options.mode || process.env.STONFI_DATA_SOURCE || 'live').toLowerCase();
+  const fixturesDir = options.fixturesDir || process.env.STONFI_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+  const fixtureSet = options.fixtureSet || process.env.STONFI_FIXTURE_SET || DEFAULT_FIXTURE_SET;
+  const fixtureDir = path.resolve(fixturesDir, fixtureSet);
+
+  switch (mode) {
+    case 'live':
+      return createResilientSource(instrumentSource(createLiveSource(options.client)), options.resilience);
+    case 'record':
+      return createResilientSource(instrumentSource(createRecordingSource(fixtureDir, options.client)), options.resilience);
+    case 'replay':
+      return instrumentSource(createReplaySource(fixtureDir));
+    default:
+      throw new Error(`Unknown STONFI_DATA_SOURCE "${mode}". Expected one of: ${MODES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  MODES,
+  createDataSource,
+  instrumentSource,
+  createLiveSource,
+  createRecordingSource,
+  createReplaySource
+};
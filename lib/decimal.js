@@ -0,0 +1,118 @@
+// lib/decimal.js - Exact integer/decimal helpers built on BigInt
+//
+// Raw reserves and LP supplies are integer strings that easily exceed 2^53,
+// and USD prices are decimal strings. These helpers keep them exact and turn
+// ratios into decimal strings with a fixed number of significant digits.
+
+const SIGNIFICANT_DIGITS = 30;
+
+// Parse an integer string (raw token units) into a BigInt, 0n when missing or invalid
+function parseUnits(value) {
+  if (typeof value === 'bigint') return value;
+  const text = String(value === undefined || value === null ? '0' : value).trim();
+  if (/^-?\d+$/.test(text)) return BigInt(text);
+  // Some fields arrive as "123.0"; anything after the point is not a unit
+  const match = text.match(/^(-?\d+)\.\d*$/);
+  return match ? BigInt(match[1]) : 0n;
+}
+
+// Parse a decimal string into { value, scale } where the number is value / 10^scale
+function parseDecimal(value) {
+  const text = String(value === undefined || value === null ? '0' : value).trim();
+  const match = text.match(/^(-?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i);
+  if (!match || (match[2] === '' && !match[3])) return { value: 0n, scale: 0 };
+
+  const [, sign, whole, fraction = '', exponent = '0'] = match;
+  let digits = `${whole}${fraction}`.replace(/^0+(?=\d)/, '') || '0';
+  let scale = fraction.length - parseInt(exponent);
+  if (scale < 0) {
+    digits += '0'.repeat(-scale);
+    scale = 0;
+  }
+  return { value: BigInt(`${sign}${digits}`), scale };
+}
+
+// Helper function to get 10^n as a BigInt
+function pow10(n) {
+  return 10n ** BigInt(n);
+}
+
+// Convert an amount of whole tokens (a decimal string) into raw units,
+// dropping digits past the token's decimals
+function toRawUnits(amount, decimals) {
+  const { value, scale } = parseDecimal(amount);
+  const places = parseInt(decimals || '9');
+  return scale <= places ? value * pow10(places - scale) : value / pow10(scale - places);
+}
+
+// Helper function to drop trailing fractional zeros ("1.500" -> "1.5", "2.0" -> "2")
+function trimZeros(text) {
+  return text.includes('.') ? text.replace(/\.?0+$/, '') : text;
+}
+
+// Format raw units as an exact decimal string using the token's decimals
+function formatUnits(units, decimals) {
+  const value = parseUnits(units);
+  const places = parseInt(decimals || '9');
+  const negative = value < 0n;
+  const digits = (negative ? -value : value).toString().padStart(places + 1, '0');
+  const whole = digits.slice(0, digits.length - places);
+  const fraction = digits.slice(digits.length - places);
+  return `${negative ? '-' : ''}${trimZeros(places > 0 ? `${whole}.${fraction}` : whole)}`;
+}
+
+// Divide two BigInts into a decimal string rounded half-up to N significant digits
+function ratioToString(numerator, denominator, significantDigits = SIGNIFICANT_DIGITS) {
+  if (denominator === 0n || numerator === 0n) return '0';
+
+  const negative = (numerator < 0n) !== (denominator < 0n);
+  const num = numerator < 0n ? -numerator : numerator;
+  const den = denominator < 0n ? -denominator : denominator;
+
+  // Scale so the integer quotient carries the requested significant digits
+  const magnitude = num.toString().length - den.toString().length;
+  const scale = Math.max(0, significantDigits - magnitude);
+  const scaled = num * pow10(scale);
+  let quotient = scaled / den;
+  if ((scaled % den) * 2n >= den) quotient += 1n;
+
+  const digits = quotient.toString().padStart(scale + 1, '0');
+  const whole = digits.slice(0, digits.length - scale);
+  const fraction = digits.slice(digits.length - scale);
+  return `${negative ? '-' : ''}${trimZeros(scale > 0 ? `${whole}.${fraction}` : whole)}`;
+}
+
+// Divide two decimal strings exactly (to N significant digits)
+function divideDecimals(numerator, denominator, significantDigits = SIGNIFICANT_DIGITS) {
+  const a = parseDecimal(numerator);
+  const b = parseDecimal(denominator);
+  // (a.value / 10^a.scale) / (b.value / 10^b.scale)
+  return ratioToString(a.value * pow10(b.scale), b.value * pow10(a.scale), significantDigits);
+}
+
+// Price of token0 in token1 from raw reserves, adjusted for decimals
+function reservePrice(reserve0, reserve1, decimals0, decimals1, significantDigits = SIGNIFICANT_DIGITS) {
+  // (reserve1 / 10^decimals1) / (reserve0 / 10^decimals0)
+  return ratioToString(
+    parseUnits(reserve1) * pow10(parseInt(decimals0 || '9')),
+    parseUnits(reserve0) * pow10(parseInt(decimals1 || '9')),
+    significantDigits
+  );
+}
+
+// Normalize a decimal string ("0005.10" -> "5.1"), "0" when missing or invalid
+function normalizeDecimal(value) {
+  const { value: digits, scale } = parseDecimal(value);
+  return ratioToString(digits, pow10(scale), Math.max(digits.toString().length, 1)) || '0';
+}
+
+module.exports = {
+  parseUnits,
+  parseDecimal,
+  formatUnits,
+  toRawUnits,
+  ratioToString,
+  divideDecimals,
+  reservePrice,
+  normalizeDecimal
+};
@@ -0,0 +1,123 @@
+// lib/depth.js - Market depth ladder for a pool, quoted locally from reserves
+//
+// For each input size (in USD) and each swap direction the local AMM engine
+// (lib/amm.js) gives the expected output, execution price, price impact and
+// minimum received at the requested slippage. Optionally each level is
+// cross-checked against the upstream swap simulation to surface divergence.
+const { quoteSwap, toUnits, toTokenAmount } = require('./amm');
+
+const DEFAULT_SIZES = [100, 1000, 10000, 100000];
+const MAX_SIZES = 10;
+const DEFAULT_SLIPPAGE = 0.01; // 1%, STON.fi's recommended tolerance
+
+// Helper function to get a USD price for the input token of a swap direction
+function getUsdPrice(tokenIn, tokenOut, spotPrice) {
+  if (tokenIn.usdPrice > 0) return tokenIn.usdPrice;
+  // Fall back to pricing through the other side of the pool
+  if (tokenOut.usdPrice > 0 && spotPrice > 0) return tokenOut.usdPrice * spotPrice;
+  return 0;
+}
+
+// Build the ladder for one swap direction of a pair
+function buildSide(pair, tokenInAddress, sizesUsd, slippage) {
+  const probe = quoteSwap(pair, tokenInAddress, 0);
+  const usdPrice = getUsdPrice(probe.tokenIn, probe.tokenOut, probe.spotPrice);
+
+  const levels = usdPrice > 0 ? sizesUsd.map(sizeUsd => {
+    const amountIn = sizeUsd / usdPrice;
+    const quote = quoteSwap(pair, tokenInAddress, toUnits(amountIn, probe.tokenIn.decimals));
+
+    return {
+      sizeUsd: sizeUsd,
+      amountIn: quote.amountIn,
+      amountInUnits: quote.amountInUnits,
+      expectedOutput: quote.amountOut,
+      expectedOutputUnits: quote.amountOutUnits,
+      executionPrice: quote.executionPrice,
+      priceImpact: quote.priceImpact,
+      minimumReceived: quote.amountOut * (1 - slippage),
+      minimumReceivedUnits: quote.amountOutUnits * (1 - slippage),
+      exact: quote.exact
+    };
+  }) : [];
+
+  return {
+    tokenIn: probe.tokenIn,
+    tokenOut: probe.tokenOut,
+    spotPrice: probe.spotPrice,
+    tokenInUsdPrice: usdPrice,
+    levels: levels,
+    // Without a USD price there is no way to turn the ladder sizes into amounts
+    unpriced: usdPrice === 0
+  };
+}
+
+// Build the depth ladder for both directions of a pair
+function buildDepth(pair, { sizesUsd = DEFAULT_SIZES, slippage = DEFAULT_SLIPPAGE } = {}) {
+  return {
+    poolAddress: pair.poolAddress,
+    name: pair.name,
+    feeBps: pair.feeBps,
+    slippage: slippage,
+    reserves: pair.reserves,
+    sides: [
+      buildSide(pair, pair.token0.address, sizesUsd, slippage),
+      buildSide(pair, pair.token1.address, sizesUsd, slippage)
+    ]
+  };
+}
+
+// Compare every level of a depth ladder with the upstream swap simulation
+async function crossCheckDepth(depth, dataSource) {
+  const checks = [];
+
+  depth.sides.forEach(side => {
+    side.levels.forEach(level => {
+      checks.push((async () => {
+        try {
+          const simulation = await dataSource.simulateSwap({
+            offerAddress: side.tokenIn.address,
+            askAddress: side.tokenOut.address,
+            offerUnits: Math.floor(level.amountInUnits).toString(),
+            slippageTolerance: depth.slippage.toString(),
+            poolAddress: depth.poolAddress
+          });
+
+          const upstreamUnits = parseFloat(simulation.askUnits || '0');
+          level.crossCheck = {
+            upstreamOutput: toTokenAmount(upstreamUnits, side.tokenOut.decimals),
+            upstreamOutputUnits: upstreamUnits,
+            upstreamPriceImpact: parseFloat(simulation.priceImpact || '0'),
+            upstreamPoolAddress: simulation.poolAddress,
+            // Relative difference of the upstream output from the local one
+            divergence: level.expectedOutputUnits > 0
+              ? (upstreamUnits - level.expectedOutputUnits) / level.expectedOutputUnits
+              : null
+          };
+        } catch (error) {
+          level.crossCheck = { error: error.message };
+        }
+      })());
+    });
+  });
+
+  await Promise.all(checks);
+
+  const divergences = [];
+  depth.sides.forEach(side => side.levels.forEach(level => {
+    if (level.crossCheck && typeof level.crossCheck.divergence === 'number') {
+      divergences.push(Math.abs(level.crossCheck.divergence));
+    }
+  }));
+
+  depth.maxDivergence = divergences.length > 0 ? Math.max(...divergences) : null;
+  return depth;
+}
+
+module.exports = {
+  DEFAULT_SIZES,
+  MAX_SIZES,
+  DEFAULT_SLIPPAGE,
+  buildDepth,
+  crossCheckDepth
+};
@@ -0,0 +1,150 @@
+// lib/export.js - CSV and NDJSON output for list endpoints
+//
+// The format comes from ?format=json|csv|ndjson or, failing that, the Accept
+// header. CSV and NDJSON return the full filtered set (no pagination), written
+// row by row. Nested objects are flattened into dot keys (token0.symbol,
+// reserves.token1) the same way for both formats; in CSV, arrays are joined
+// with ";" and text that a spreadsheet would run as a formula is prefixed
+// with a single quote. ?columns= picks and orders the (flattened) columns.
+
+const { rejectInvalid } = require('./validation');
+
+const FORMATS = ['json', 'csv', 'ndjson'];
+
+const CONTENT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8'
+};
+
+// Accept header media types mapped to formats
+const ACCEPT_TYPES = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson',
+  'application/jsonl': 'ndjson',
+  'application/json': 'json'
+};
+
+// Pick the output format for a request; { format } or { error } for an unknown ?format=
+function negotiateFormat(req) {
+  const requested = req.query.format;
+  if (requested !== undefined) {
+    return FORMATS.includes(requested)
+      ? { format: requested }
+      : { error: `Invalid format: ${requested}. Expected one of: ${FORMATS.join(', ')}` };
+  }
+
+  // Highest q-value wins; ties keep the client's order
+  const accepted = String((req.headers && req.headers.accept) || '')
+    .split(',')
+    .map((part, order) => {
+      const [type, ...params] = part.trim().toLowerCase().split(';');
+      const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { type: type.trim(), q: q ? parseFloat(q.slice(2)) : 1, order };
+    })
+    .filter(entry => ACCEPT_TYPES[entry.type] && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.order - b.order);
+
+  return { format: accepted.length > 0 ? ACCEPT_TYPES[accepted[0].type] : 'json' };
+}
+
+// Flatten nested objects into dot keys; arrays and primitives are kept as values
+function flattenRow(value, prefix = '', row = {}) {
+  Object.entries(value || {}).forEach(([key, item]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (item !== null && typeof item === 'object' && !Array.isArray(item)) {
+      flattenRow(item, path, row);
+    } else {
+      row[path] = item;
+    }
+  });
+  return row;
+}
+
+// Helper function to render one CSV cell
+function toCsvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+
+  // Keep spreadsheets from evaluating text such as "=HYPERLINK(...)" from token names
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Helper function to write a chunk, waiting for the socket to drain when it is full
+// (or to close, if the client went away)
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise(resolve => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+}
+
+// Parse ?columns= into a list of flattened keys (null when not given)
+function parseColumns(query) {
+  if (query.columns === undefined) return null;
+  return (Array.isArray(query.columns) ? query.columns : String(query.columns).split(','))
+    .map(column => column.trim())
+    .filter(Boolean);
+}
+
+// Stream rows as CSV or NDJSON. `transform` turns each item into the object to flatten.
+// Resolves once the response has ended; responds 400 itself for unknown columns.
+async function sendRows(res, items, { format, columns, filename, snapshot, transform = item => item }) {
+  // One pass for the header: every key seen, in first-seen order
+  const seen = new Set();
+  items.forEach(item => Object.keys(flattenRow(transform(item))).forEach(key => seen.add(key)));
+
+  if (columns) {
+    const unknown = items.length > 0 ? columns.filter(column => !seen.has(column)) : [];
+    if (unknown.length > 0) {
+      return rejectInvalid(res, unknown.map(column => ({
+        location: 'query',
+        field: 'columns',
+        message: `column ${column} does not exist`
+      })));
+    }
+  }
+  const keys = columns || [...seen];
+
+  res.status(200);
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  if (snapshot) res.setHeader('X-Snapshot-Id', snapshot.id);
+
+  if (format === 'csv') {
+    await write(res, `${keys.map(toCsvCell).join(',')}\r\n`);
+  }
+
+  for (const item of items) {
+    if (res.destroyed) return;
+    const row = flattenRow(transform(item));
+    if (format === 'csv') {
+      await write(res, `${keys.map(key => toCsvCell(row[key])).join(',')}\r\n`);
+    } else {
+      const line = {};
+      keys.forEach(key => {
+        if (row[key] !== undefined) line[key] = row[key];
+      });
+      await write(res, `${JSON.stringify(line)}\n`);
+    }
+  }
+
+  res.end();
+}
+
+module.exports = {
+  FORMATS,
+  negotiateFormat,
+  flattenRow,
+  parseColumns,
+  sendRows
+};
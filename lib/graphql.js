@@ -0,0 +1,464 @@
+// lib/graphql.js - GraphQL endpoint over pairs, tokens and pools
+//
+// Pair, Token and Pool resolve to each other (pair -> tokens -> their other
+// pools), so a view can fetch exactly what it needs in one round trip. Every
+// request is answered from one snapshot. List fields take the same filter and
+// sort arguments as /api/pairs. Before executing, a query is rejected when
+// it nests deeper than GRAPHQL_MAX_DEPTH or when its estimated cost (fields
+// times the list sizes they are multiplied by) exceeds GRAPHQL_MAX_COMPLEXITY.
+const {
+  GraphQLSchema, GraphQLObjectType, GraphQLList, GraphQLNonNull, GraphQLString,
+  GraphQLFloat, GraphQLInt, GraphQLBoolean, GraphQLError, Kind,
+  parse, validate, execute, getNamedType, getNullableType, isListType
+} = require('graphql');
+const { snapshots } = require('./context');
+const { filterAndSortPairs, paginateResults, parseExcludeFlags, PAIR_FLAGS } = require('./pairs');
+const { parseCategories, getTokenTags, CATEGORY_MATCHES } = require('./categories');
+const { parsePairQuery, NUMERIC_FIELDS } = require('./query');
+const { summarizeToken, listTokens, getTokenIndex } = require('./tokens');
+const { getOraclePrices } = require('./oracle');
+const { describeSnapshot } = require('./snapshot');
+const { normalizeAddress, toCanonicalAddress } = require('./address');
+
+const MAX_DEPTH = parseInt(process.env.GRAPHQL_MAX_DEPTH) || 8;
+const MAX_COMPLEXITY = parseInt(process.env.GRAPHQL_MAX_COMPLEXITY) || 10000;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const DEFAULT_TOKEN_PAIRS_LIMIT = 20;
+
+// Pools by address are derived data, so build the index once per snapshot
+const poolIndexCache = new WeakMap();
+
+// Helper function to get the raw upstream pool for an address
+function getPool(snapshot, address) {
+  if (!poolIndexCache.has(snapshot)) {
+    poolIndexCache.set(snapshot, new Map(snapshot.pools.map(pool => [pool.address, pool])));
+  }
+  return poolIndexCache.get(snapshot).get(address) || null;
+}
+
+// Helper function to get a token summary, once per request
+function getToken(context, address) {
+  if (!context.tokens.has(address)) {
+    context.tokens.set(address, summarizeToken(context.snapshot, address, { includePools: false }));
+  }
+  return context.tokens.get(address);
+}
+
+// Helper function to clamp a limit argument
+function clampLimit(limit, fallback = DEFAULT_LIMIT) {
+  return Math.min(Math.max(limit || fallback, 1), MAX_LIMIT);
+}
+
+// Turn pair filter arguments into filterAndSortPairs filters, validated like /api/pairs
+function toPairFilters(args) {
+  // Arguments share their names with the REST query parameters
+  const query = {};
+  Object.entries(args).forEach(([name, value]) => {
+    if (value !== undefined && value !== null) query[name] = String(value);
+  });
+
+  const { ranges, tokens, sort, errors } = parsePairQuery(query);
+  const { flags: excludeFlags, invalid: invalidFlags } = parseExcludeFlags(args.excludeFlags);
+  const { invalid: invalidCategories } = parseCategories(args.category);
+  const categoryMatch = args.categoryMatch || 'any';
+
+  if (invalidFlags.length > 0) {
+    errors.push({ field: 'excludeFlags', message: `must be "all" or a list of: ${PAIR_FLAGS.join(', ')}` });
+  }
+  if (invalidCategories.length > 0) {
+    errors.push({ field: 'category', message: `unknown category: ${invalidCategories.join(', ')}` });
+  }
+  if (!CATEGORY_MATCHES.includes(categoryMatch)) {
+    errors.push({ field: 'categoryMatch', message: `must be one of: ${CATEGORY_MATCHES.join(', ')}` });
+  }
+  if (errors.length > 0) {
+    throw new GraphQLError('Invalid arguments', { extensions: { code: 'BAD_USER_INPUT', details: errors } });
+  }
+
+  return {
+    search: args.search || '',
+    sortBy: args.sortBy || 'liquidity',
+    sortOrder: args.sortOrder || 'desc',
+    minLiquidity: args.minLiquidity || 0,
+    category: args.category || 'all',
+    categoryMatch,
+    excludeFlags,
+    ranges,
+    tokens,
+    sort
+  };
+}
+
+// Pair filter arguments, named like the /api/pairs query parameters
+function pairFilterArgs() {
+  const args = {
+    search: { type: GraphQLString },
+    category: { type: GraphQLString, description: 'Comma-separated categories (see /api/categories)' },
+    categoryMatch: { type: GraphQLString, description: 'any or all' },
+    excludeFlags: { type: GraphQLString, description: 'Comma-separated quality flags, or all' },
+    token: { type: GraphQLString },
+    token0: { type: GraphQLString },
+    token1: { type: GraphQLString },
+    sortBy: { type: GraphQLString },
+    sortOrder: { type: GraphQLString },
+    sort: { type: GraphQLString, description: 'e.g. -volume24h,name' }
+  };
+  Object.keys(NUMERIC_FIELDS).forEach(field => {
+    const suffix = field.charAt(0).toUpperCase() + field.slice(1);
+    args[`min${suffix}`] = { type: GraphQLFloat };
+    args[`max${suffix}`] = { type: GraphQLFloat };
+  });
+  return args;
+}
+
+const paginationArgs = {
+  page: { type: GraphQLInt },
+  limit: { type: GraphQLInt }
+};
+
+const PaginationType = new GraphQLObjectType({
+  name: 'Pagination',
+  fields: {
+    currentPage: { type: GraphQLInt },
+    totalPages: { type: GraphQLInt },
+    totalItems: { type: GraphQLInt },
+    itemsPerPage: { type: GraphQLInt },
+    hasNextPage: { type: GraphQLBoolean },
+    hasPrevPage: { type: GraphQLBoolean }
+  }
+});
+
+const SnapshotType = new GraphQLObjectType({
+  name: 'Snapshot',
+  fields: {
+    id: { type: GraphQLString },
+    version: { type: GraphQLInt },
+    createdAt: { type: GraphQLFloat },
+    age: { type: GraphQLFloat }
+  }
+});
+
+const OraclePriceType = new GraphQLObjectType({
+  name: 'OraclePrice',
+  fields: {
+    usdPrice: { type: GraphQLFloat },
+    source: { type: GraphQLString },
+    confidence: { type: GraphQLFloat },
+    path: { type: new GraphQLList(GraphQLString) },
+    pools: { type: new GraphQLList(GraphQLString) },
+    upstreamUsdPrice: { type: GraphQLFloat },
+    upstreamDeviation: { type: GraphQLFloat }
+  }
+});
+
+const TokenType = new GraphQLObjectType({
+  name: 'Token',
+  fields: () => ({
+    address: { type: new GraphQLNonNull(GraphQLString) },
+    symbol: { type: GraphQLString },
+    name: { type: GraphQLString },
+    decimals: { type: GraphQLInt },
+    priceUsd: { type: GraphQLFloat },
+    priceTon: { type: GraphQLFloat },
+    priceSource: { type: GraphQLString },
+    upstreamUsdPrice: { type: GraphQLFloat },
+    totalLiquidity: { type: GraphQLFloat },
+    totalVolume24h: { type: GraphQLFloat },
+    poolCount: { type: GraphQLInt },
+    tags: {
+      type: new GraphQLList(GraphQLString),
+      resolve: token => getTokenTags(token.asset)
+    },
+    oracle: {
+      type: OraclePriceType,
+      resolve: (token, args, context) => getOraclePrices(context.snapshot).get(token.address) || null
+    },
+    pairs: {
+      type: new GraphQLList(PairType),
+      description: 'Pools this token trades in',
+      args: { ...pairFilterArgs(), limit: { type: GraphQLInt } },
+      resolve: (token, args, context) => {
+        const entry = getTokenIndex(context.snapshot).get(token.address);
+        const pairs = filterAndSortPairs(entry ? entry.pairs : [], toPairFilters(args));
+        return pairs.slice(0, clampLimit(args.limit, DEFAULT_TOKEN_PAIRS_LIMIT));
+      }
+    }
+  })
+});
+
+const PairType = new GraphQLObjectType({
+  name: 'Pair',
+  fields: () => ({
+    id: { type: new GraphQLNonNull(GraphQLString) },
+    name: { type: GraphQLString },
+    poolAddress: { type: new GraphQLNonNull(GraphQLString) },
+    price: { type: GraphQLFloat },
+    formattedPrice: { type: GraphQLString },
+    exactPrice: { type: GraphQLString, resolve: pair => pair.exact.price },
+    priceSource: { type: GraphQLString },
+    usdImpliedPrice: { type: GraphQLFloat },
+    reserveImpliedPrice: { type: GraphQLFloat },
+    priceDivergence: { type: GraphQLFloat },
+    flags: { type: new GraphQLList(GraphQLString) },
+    liquidity: { type: GraphQLFloat },
+    volume24h: { type: GraphQLFloat },
+    apy: { type: GraphQLFloat },
+    popularityIndex: { type: GraphQLFloat },
+    feeBps: { type: GraphQLFloat },
+    reserve0: { type: GraphQLString, description: 'Token amount', resolve: pair => pair.exact.reserveAmounts.token0 },
+    reserve1: { type: GraphQLString, description: 'Token amount', resolve: pair => pair.exact.reserveAmounts.token1 },
+    token0: { type: TokenType, resolve: (pair, args, context) => getToken(context, pair.token0.address) },
+    token1: { type: TokenType, resolve: (pair, args, context) => getToken(context, pair.token1.address) },
+    pool: { type: PoolType, resolve: (pair, args, context) => getPool(context.snapshot, pair.poolAddress) }
+  })
+});
+
+// Helper function to read a numeric upstream field, null when missing
+function toNumber(field) {
+  return { type: GraphQLFloat, resolve: pool => (pool[field] !== undefined ? parseFloat(pool[field]) : null) };
+}
+
+const PoolType = new GraphQLObjectType({
+  name: 'Pool',
+  fields: () => ({
+    address: { type: new GraphQLNonNull(GraphQLString) },
+    token0Address: { type: GraphQLString },
+    token1Address: { type: GraphQLString },
+    reserve0: { type: GraphQLString, description: 'Raw units' },
+    reserve1: { type: GraphQLString, description: 'Raw units' },
+    lpTotalSupply: { type: GraphQLString },
+    lpTotalSupplyUsd: toNumber('lpTotalSupplyUsd'),
+    volume24hUsd: {
+      type: GraphQLFloat,
+      resolve: pool => parseFloat(pool.volume24hUsd || pool.volume24HUsd || '0')
+    },
+    apy1D: toNumber('apy1D'),
+    lpFee: toNumber('lpFee'),
+    protocolFee: toNumber('protocolFee'),
+    refFee: toNumber('refFee'),
+    popularityIndex: toNumber('popularityIndex'),
+    deprecated: { type: GraphQLBoolean },
+    pair: { type: PairType, resolve: (pool, args, context) => context.snapshot.pairIndex.get(pool.address) || null },
+    token0: { type: TokenType, resolve: (pool, args, context) => getToken(context, pool.token0Address) },
+    token1: { type: TokenType, resolve: (pool, args, context) => getToken(context, pool.token1Address) }
+  })
+});
+
+// Helper function to build a paginated list type
+function connectionType(name, itemType) {
+  return new GraphQLObjectType({
+    name: name,
+    fields: {
+      items: { type: new GraphQLList(itemType) },
+      pagination: { type: PaginationType }
+    }
+  });
+}
+
+const QueryType = new GraphQLObjectType({
+  name: 'Query',
+  fields: {
+    snapshot: {
+      type: SnapshotType,
+      resolve: (root, args, context) => describeSnapshot(context.snapshot)
+    },
+    pairs: {
+      type: connectionType('PairList', PairType),
+      args: { ...pairFilterArgs(), ...paginationArgs },
+      resolve: (root, args, context) => {
+        const pairs = filterAndSortPairs(context.snapshot.pairs, toPairFilters(args));
+        const { data, pagination } = paginateResults(pairs, args.page || 1, clampLimit(args.limit));
+        return { items: data, pagination };
+      }
+    },
+    pair: {
+      type: PairType,
+      args: { poolAddress: { type: new GraphQLNonNull(GraphQLString) } },
+      resolve: (root, args, context) => context.snapshot.pairIndex.get(toCanonicalAddress(args.poolAddress)) || null
+    },
+    tokens: {
+      type: connectionType('TokenList', TokenType),
+      args: { search: { type: GraphQLString }, ...paginationArgs },
+      resolve: (root, args, context) => {
+        const search = (args.search || '').toLowerCase();
+        const searchAddress = normalizeAddress(args.search);
+        const tokens = listTokens(context.snapshot).filter(token => searchAddress
+          ? token.address === searchAddress
+          : !search ||
+            token.symbol.toLowerCase().includes(search) ||
+            token.name.toLowerCase().includes(search) ||
+            token.address.toLowerCase().includes(search));
+        const { data, pagination } = paginateResults(tokens, args.page || 1, clampLimit(args.limit));
+        return { items: data, pagination };
+      }
+    },
+    token: {
+      type: TokenType,
+      args: { address: { type: new GraphQLNonNull(GraphQLString) } },
+      resolve: (root, args, context) => getToken(context, toCanonicalAddress(args.address))
+    },
+    pools: {
+      type: connectionType('PoolList', PoolType),
+      args: paginationArgs,
+      resolve: (root, args, context) => {
+        const { data, pagination } = paginateResults(context.snapshot.pools, args.page || 1, clampLimit(args.limit));
+        return { items: data, pagination };
+      }
+    },
+    pool: {
+      type: PoolType,
+      args: { address: { type: new GraphQLNonNull(GraphQLString) } },
+      resolve: (root, args, context) => getPool(context.snapshot, toCanonicalAddress(args.address))
+    }
+  }
+});
+
+const schema = new GraphQLSchema({ query: QueryType });
+
+// Helper function to read an Int argument that may be given as a variable
+function readIntArgument(field, name, variables) {
+  const argument = (field.arguments || []).find(arg => arg.name.value === name);
+  if (!argument) return null;
+  if (argument.value.kind === Kind.VARIABLE) {
+    const value = variables[argument.value.name.value];
+    return Number.isInteger(value) ? value : null;
+  }
+  return argument.value.kind === Kind.INT ? parseInt(argument.value.value) : null;
+}
+
+// Measure the depth and estimated cost of a selection set. A list field costs
+// its children times the list size: its own limit argument, or the one of the
+// connection it belongs to.
+function measure(selectionSet, parentType, context, depth, listSize) {
+  let maxDepth = depth;
+  let complexity = 0;
+
+  selectionSet.selections.forEach(selection => {
+    if (selection.kind === Kind.FIELD) {
+      if (selection.name.value.startsWith('__')) return;
+      const fieldDef = parentType.getFields && parentType.getFields()[selection.name.value];
+      if (!fieldDef) return;
+
+      complexity += 1;
+      if (!selection.selectionSet) return;
+
+      const limit = readIntArgument(selection, 'limit', context.variables);
+      const defaultLimit = selection.name.value === 'pairs' && parentType.name === 'Token'
+        ? DEFAULT_TOKEN_PAIRS_LIMIT
+        : DEFAULT_LIMIT;
+      const size = limit !== null || fieldDef.args.some(arg => arg.name === 'limit')
+        ? clampLimit(limit, defaultLimit)
+        : listSize;
+      const child = measure(selection.selectionSet, getNamedType(fieldDef.type), context, depth + 1, size);
+      const multiplier = isListType(getNullableType(fieldDef.type)) ? size : 1;
+
+      complexity += multiplier * child.complexity;
+      maxDepth = Math.max(maxDepth, child.depth);
+    } else {
+      const fragment = selection.kind === Kind.FRAGMENT_SPREAD
+        ? context.fragments[selection.name.value]
+        : selection;
+      if (!fragment) return;
+
+      const type = fragment.typeCondition ? schema.getType(fragment.typeCondition.name.value) : parentType;
+      const child = measure(fragment.selectionSet, type, context, depth, listSize);
+      complexity += child.complexity;
+      maxDepth = Math.max(maxDepth, child.depth);
+    }
+  });
+
+  return { depth: maxDepth, complexity };
+}
+
+// Helper function to read the GraphQL request from a GET query string or a POST body
+function readRequest(req) {
+  const source = req.method === 'GET' ? req.query : (req.body || {});
+  let variables = source.variables || {};
+  if (typeof variables === 'string') {
+    try {
+      variables = JSON.parse(variables);
+    } catch (error) {
+      return { error: 'variables must be a JSON object' };
+    }
+  }
+  return { query: source.query, variables, operationName: source.operationName || null };
+}
+
+// Route handler: GET or POST /graphql
+async function handleGraphQL(req, res) {
+  try {
+    const { query, variables, operationName, error } = readRequest(req);
+
+    if (error || typeof query !== 'string' || !query.trim()) {
+      return res.status(400).json({ errors: [{ message: error || 'Missing required parameter: query' }] });
+    }
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (syntaxError) {
+      return res.status(400).json({ errors: [syntaxError] });
+    }
+
+    const validationErrors = validate(schema, document);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({ errors: validationErrors });
+    }
+
+    const fragments = {};
+    const operations = [];
+    document.definitions.forEach(definition => {
+      if (definition.kind === Kind.FRAGMENT_DEFINITION) fragments[definition.name.value] = definition;
+      if (definition.kind === Kind.OPERATION_DEFINITION) operations.push(definition);
+    });
+
+    const operation = operationName
+      ? operations.find(definition => definition.name && definition.name.value === operationName)
+      : operations[0];
+
+    if (!operation) {
+      return res.status(400).json({ errors: [{ message: `Unknown operation: ${operationName}` }] });
+    }
+
+    if (req.method === 'GET' && operation.operation !== 'query') {
+      return res.status(405).json({ errors: [{ message: 'Only queries are allowed over GET' }] });
+    }
+
+    const cost = measure(operation.selectionSet, QueryType, { fragments, variables }, 1, 1);
+    if (cost.depth > MAX_DEPTH || cost.complexity > MAX_COMPLEXITY) {
+      return res.status(400).json({
+        errors: [{
+          message: cost.depth > MAX_DEPTH
+            ? `Query depth ${cost.depth} exceeds the limit of ${MAX_DEPTH}`
+            : `Query complexity ${cost.complexity} exceeds the limit of ${MAX_COMPLEXITY}`,
+          extensions: { code: 'QUERY_TOO_COMPLEX', depth: cost.depth, complexity: cost.complexity }
+        }]
+      });
+    }
+
+    const snapshot = await snapshots.get();
+    const result = await execute({
+      schema,
+      document,
+      variableValues: variables,
+      operationName,
+      contextValue: { snapshot, tokens: new Map() }
+    });
+
+    res.status(200).json({
+      ...result,
+      extensions: { snapshot: describeSnapshot(snapshot), cost }
+    });
+
+  } catch (error) {
+    req.log.error('Error executing GraphQL query', { error });
+    res.status(error.status || 500).json({ errors: [{ message: error.message }] });
+  }
+}
+
+module.exports = {
+  schema,
+  handleGraphQL,
+  measure
+};
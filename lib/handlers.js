@@ -0,0 +1,1151 @@
+// lib/handlers.js - Route handlers shared by the Express server and the Vercel functions
+//
+// Handlers use the (req, res) shape both targets understand: Express calls them
+// directly, the Vercel functions in api/ go through lib/vercel.js first. Params,
+// query and body have already been checked against the route's schema (see
+// lib/schemas.js), with defaults filled in, so handlers only check what a
+// schema can't express, such as from <= to.
+const { dataSource, snapshots, history, alerts, access } = require('./context');
+const { calculateTradingPairs, filterAndSortPairs, paginateResults, toExactPrecision, parseExcludeFlags } = require('./pairs');
+const { describeSnapshot } = require('./snapshot');
+const { INTERVALS, MAX_CANDLES } = require('./history');
+const { getGraph, findRoutes } = require('./routing');
+const { toUnits } = require('./amm');
+const { listTokens, summarizeToken, getTokenIndex, impliedPrice } = require('./tokens');
+const { buildDepth, crossCheckDepth } = require('./depth');
+const { getOraclePrices } = require('./oracle');
+const { describeRegistry } = require('./categories');
+const { parsePairQuery, projectFields } = require('./query');
+const { rejectInvalid } = require('./validation');
+const { normalizeAddress, toCanonicalAddress, describeAddress } = require('./address');
+const { hashQuery, decodeCursor, paginateWithCursor } = require('./cursor');
+const search = require('./search');
+const { negotiateFormat, parseColumns, sendRows } = require('./export');
+const { buildOpenApi } = require('./openapi');
+const { valuePortfolio, walletToPortfolio } = require('./portfolio');
+const { calculateLpReturns } = require('./lpReturns');
+const metrics = require('./metrics');
+
+// Helper function to parse a timestamp given as epoch seconds, epoch ms or an ISO date
+function parseTimestamp(value) {
+  if (value === undefined || value === '') return null;
+  if (/^\d+$/.test(value)) {
+    const number = parseInt(value);
+    return number < 1e11 ? number * 1000 : number;
+  }
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? NaN : parsed;
+}
+
+// Helper function to present pairs in the requested precision
+function presentPairs(pairs, precision) {
+  return precision === 'exact' ? pairs.map(toExactPrecision) : pairs;
+}
+
+// Get all trading pairs with pagination and search (served from the shared snapshot)
+async function getPairs(req, res) {
+  try {
+    // Get query parameters
+    const { page, limit, search = '', sortBy, sortOrder, minLiquidity = 0, categoryMatch, precision } = req.query;
+    const category = req.query.category || 'all';
+    const { flags: excludeFlags } = parseExcludeFlags(req.query.excludeFlags);
+    const { ranges, tokens, sort, fields, errors: queryErrors } = parsePairQuery(req.query);
+    const { format } = negotiateFormat(req);
+
+    if (queryErrors.length > 0) {
+      return rejectInvalid(res, queryErrors.map(error => ({ location: 'query', ...error })));
+    }
+
+    const listFilters = {
+      search,
+      sortBy,
+      sortOrder,
+      minLiquidity,
+      category,
+      categoryMatch,
+      excludeFlags,
+      ranges,
+      tokens,
+      sort
+    };
+
+    // Cursor pagination starts with pagination=cursor and continues with cursor=...
+    const cursorMode = req.query.pagination === 'cursor' || req.query.cursor !== undefined;
+    let cursor = null;
+
+    if (req.query.cursor !== undefined) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor || cursor.query !== hashQuery(listFilters)) {
+        return rejectInvalid(res, [{
+          location: 'query',
+          field: 'cursor',
+          message: cursor
+            ? 'was issued for different filters; repeat the original query with it'
+            : 'could not be decoded'
+        }]);
+      }
+    }
+
+    const snapshot = cursor ? snapshots.getById(cursor.snapshotId) : await snapshots.get();
+
+    if (!snapshot) {
+      return res.status(410).json({
+        success: false,
+        error: 'Snapshot expired',
+        message: `Snapshot ${cursor.snapshotId} is no longer retained; restart pagination without a cursor`
+      });
+    }
+
+    const pairs = snapshot.pairs;
+
+    // Apply filters and pagination to the snapshot
+    const filteredPairs = filterAndSortPairs(pairs, listFilters);
+
+    // Exports carry the whole filtered set rather than one page
+    if (format !== 'json') {
+      return sendRows(res, filteredPairs, {
+        format,
+        columns: parseColumns(req.query),
+        filename: `pairs-${snapshot.id}`,
+        snapshot,
+        transform: pair => {
+          const [presented] = presentPairs([pair], precision);
+          return fields ? projectFields(presented, fields) : presented;
+        }
+      });
+    }
+
+    const paginatedResult = cursorMode
+      ? paginateWithCursor(filteredPairs, { snapshot, filters: listFilters, cursor, limit })
+      : paginateResults(filteredPairs, page, limit);
+
+    if (!paginatedResult) {
+      return rejectInvalid(res, [{
+        location: 'query',
+        field: 'cursor',
+        message: 'does not point at a row of this listing'
+      }]);
+    }
+
+    const data = presentPairs(paginatedResult.data, precision);
+
+    res.status(200).json({
+      success: true,
+      data: fields ? data.map(pair => projectFields(pair, fields)) : data,
+      pagination: paginatedResult.pagination,
+      filters: { search, sortBy, sortOrder, minLiquidity, category, categoryMatch, excludeFlags, ranges, tokens, sort, fields },
+      precision: precision,
+      cached: true,
+      totalPairs: pairs.length,
+      lastUpdated: snapshot.createdAt,
+      priceDataFresh: snapshots.getAge(snapshot) <= snapshots.refreshInterval,
+      snapshot: describeSnapshot(snapshot)
+    });
+
+  } catch (error) {
+    req.log.error('Error fetching pairs', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to fetch trading pairs from STON.fi'
+    });
+  }
+}
+
+// Get specific pair by pool address
+async function getPair(req, res) {
+  try {
+    const { poolAddress } = req.params;
+    const { precision } = req.query;
+
+    const snapshot = await snapshots.get();
+    const pair = snapshot.pairIndex.get(poolAddress);
+
+    if (!pair) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pool not found',
+        message: `No trading pair found for pool address: ${poolAddress}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: presentPairs([pair], precision)[0],
+      addressForms: describeAddress(poolAddress),
+      lastUpdated: snapshot.createdAt,
+      snapshot: describeSnapshot(snapshot)
+    });
+
+  } catch (error) {
+    req.log.error('Error fetching specific pair', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Get OHLCV candles for a pool from the price history
+async function getCandles(req, res) {
+  try {
+    const { poolAddress } = req.params;
+    const { interval } = req.query;
+    const intervalMs = INTERVALS[interval];
+
+    // Never build carried-forward candles for the future
+    const to = Math.min(parseTimestamp(req.query.to) || Date.now(), Date.now());
+    const from = parseTimestamp(req.query.from) || to - 200 * intervalMs;
+
+    const rangeErrors = [];
+    if (Number.isNaN(from)) rangeErrors.push({ location: 'query', field: 'from', message: 'must be a timestamp or ISO date' });
+    if (Number.isNaN(to)) rangeErrors.push({ location: 'query', field: 'to', message: 'must be a timestamp or ISO date' });
+    if (rangeErrors.length === 0 && from > to) {
+      rangeErrors.push({ location: 'query', field: 'from', message: 'must not be after to' });
+    }
+    if (rangeErrors.length === 0 && (to - from) / intervalMs > MAX_CANDLES) {
+      rangeErrors.push({
+        location: 'query',
+        field: 'from',
+        message: `range too large: at most ${MAX_CANDLES} candles per request, use a larger interval`
+      });
+    }
+
+    if (rangeErrors.length > 0) return rejectInvalid(res, rangeErrors);
+
+    const snapshot = await snapshots.get();
+    const pair = snapshot.pairIndex.get(poolAddress);
+    const candles = await history.getCandles(poolAddress, { interval, from, to });
+
+    if (!pair && candles.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pool not found',
+        message: `No trading pair or price history found for pool address: ${poolAddress}`
+      });
+    }
+
+    const first = candles[0];
+    const last = candles[candles.length - 1];
+    const change = first && first.open > 0 ? {
+      absolute: last.close - first.open,
+      percent: ((last.close - first.open) / first.open) * 100
+    } : null;
+
+    res.status(200).json({
+      success: true,
+      data: candles,
+      poolAddress: poolAddress,
+      name: pair ? pair.name : null,
+      interval: interval,
+      from: from,
+      to: to,
+      change: change,
+      retentionDays: history.retentionDays,
+      snapshot: describeSnapshot(snapshot)
+    });
+
+  } catch (error) {
+    req.log.error('Error fetching candles', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Impermanent loss and LP returns for a pool, for a price scenario (priceChange)
+// or between two points of its recorded history (from/to)
+async function getImpermanentLoss(req, res) {
+  try {
+    const { poolAddress } = req.params;
+    const { deposit, priceChange, days } = req.query;
+    const historical = req.query.from !== undefined;
+
+    if (historical === (priceChange !== undefined)) {
+      return rejectInvalid(res, [{ location: 'query', field: 'priceChange', message: 'give either priceChange or from (and optionally to)' }]);
+    }
+    if (!historical && req.query.to !== undefined) {
+      return rejectInvalid(res, [{ location: 'query', field: 'from', message: 'is required with to' }]);
+    }
+
+    let from = null;
+    let to = null;
+    if (historical) {
+      from = parseTimestamp(req.query.from);
+      to = Math.min(parseTimestamp(req.query.to) || Date.now(), Date.now());
+
+      const rangeErrors = [];
+      if (Number.isNaN(from)) rangeErrors.push({ location: 'query', field: 'from', message: 'must be a timestamp or ISO date' });
+      if (Number.isNaN(to)) rangeErrors.push({ location: 'query', field: 'to', message: 'must be a timestamp or ISO date' });
+      if (rangeErrors.length === 0 && from >= to) {
+        rangeErrors.push({ location: 'query', field: 'from', message: 'must be before to' });
+      }
+      if (rangeErrors.length > 0) return rejectInvalid(res, rangeErrors);
+    }
+
+    const snapshot = await snapshots.get();
+    const pair = snapshot.pairIndex.get(poolAddress);
+
+    if (!pair) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pool not found',
+        message: `No trading pair found for pool address: ${poolAddress}`
+      });
+    }
+
+    let startPrice = pair.price;
+    let endPrice = pair.price * (1 + priceChange / 100);
+    let periodDays = days;
+
+    if (historical) {
+      const [start, end] = await Promise.all([
+        history.getSampleAt(poolAddress, from),
+        history.getSampleAt(poolAddress, to)
+      ]);
+
+      if (!start || !end) {
+        return res.status(404).json({
+          success: false,
+          error: 'No price history',
+          message: `No price recorded for pool ${poolAddress} at ${new Date(start ? to : from).toISOString()}`
+        });
+      }
+
+      startPrice = start.price;
+      endPrice = end.price;
+      periodDays = (to - from) / INTERVALS['1d'];
+    }
+
+    if (!(startPrice > 0) || !(endPrice > 0)) {
+      return res.status(422).json({
+        success: false,
+        error: 'Pool has no price',
+        message: `No price to start from for pool address: ${poolAddress}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: calculateLpReturns({ deposit, startPrice, endPrice, days: periodDays, apy: pair.apy }),
+      poolAddress: poolAddress,
+      name: pair.name,
+      source: historical ? 'history' : 'scenario',
+      from: from,
+      to: to,
+      snapshot: describeSnapshot(snapshot)
+    });
+
+  } catch (error) {
+    req.log.error('Error calculating impermanent loss', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Get the market depth ladder for a pool, quoted locally from its reserves
+async function getDepth(req, res) {
+  try {
+    const { poolAddress } = req.params;
+    const { sizes: sizesUsd, slippage, crossCheck } = req.query;
+
+    const snapshot = await snapshots.get();
+    const pair = snapshot.pairIndex.get(poolAddress);
+
+    if (!pair) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pool not found',
+        message: `No trading pair found for pool address: ${poolAddress}`
+      });
+    }
+
+    const depth = buildDepth(pair, { sizesUsd, slippage });
+    if (crossCheck) {
+      await crossCheckDepth(depth, dataSource);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: depth,
+      crossChecked: crossCheck,
+      snapshot: describeSnapshot(snapshot)
+    });
+
+  } catch (error) {
+    req.log.error('Error building depth ladder', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Search pairs by symbol or name
+async function searchPairs(req, res) {
+  try {
+    const { query } = req.params;
+    const { precision, limit } = req.query;
+
+    const snapshot = await snapshots.get();
+    const matches = search.searchPairs(search.getSearchIndex(snapshot.pairs), query);
+    const pairs = presentPairs(matches.slice(0, limit).map(match => match.pair), precision);
+
+    res.status(200).json({
+      success: true,
+      data: pairs.map((pair, i) => ({
+        ...pair,
+        score: matches[i].score,
+        matchedField: matches[i].matchedField,
+        matchType: matches[i].matchType,
+        matchedValue: matches[i].matchedValue
+      })),
+      query: query,
+      totalResults: matches.length,
+      lastUpdated: snapshot.createdAt,
+      snapshot: describeSnapshot(snapshot)
+    });
+
+  } catch (error) {
+    req.log.error('Error searching pairs', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Lightweight autocomplete: the best few tokens and pairs for a partial query
+async function suggest(req, res) {
+  try {
+    const query = req.query.q.trim();
+    const { limit } = req.query;
+
+    const snapshot = await snapshots.get();
+    const index = search.getSearchIndex(snapshot.pairs);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tokens: search.searchTokens(index, query, { limit }).map(token => ({
+          address: token.address,
+          symbol: token.symbol,
+          name: token.name,
+          matchedField: token.matchedField,
+          matchType: token.matchType
+        })),
+        pairs: search.searchPairs(index, query, { limit }).map(match => ({
+          poolAddress: match.pair.poolAddress,
+          name: match.pair.name,
+          liquidity: match.pair.liquidity,
+          matchedField: match.matchedField,
+          matchType: match.matchType
+        }))
+      },
+      query: query,
+      snapshot: describeSnapshot(snapshot)
+    });
+
+  } catch (error) {
+    req.log.error('Error building suggestions', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Simulate swap
+async function simulateSwap(req, res) {
+  try {
+    const { tokenAAddress, tokenBAddress, amountIn, slippageTolerance } = req.body;
+
+    const simulation = await dataSource.simulateSwap({
+      offerAddress: tokenAAddress,
+      askAddress: tokenBAddress,
+      offerUnits: amountIn,
+      slippageTolerance: slippageTolerance
+    });
+
+    res.status(200).json({
+      success: true,
+      data: simulation
+    });
+
+  } catch (error) {
+    req.log.error('Error simulating swap', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+      message: 'Failed to simulate swap'
+    });
+  }
+}
+
+// Find the best multi-hop swap routes between two tokens
+async function findRoute(req, res) {
+  try {
+    const { from, to, amount, maxHops, limit } = req.query;
+
+    if (from === to) {
+      return rejectInvalid(res, [{ location: 'query', field: 'to', message: 'must be a different token than from' }]);
+    }
+
+    const snapshot = await snapshots.get();
+    const graph = getGraph(snapshot);
+    const missing = [from, to].filter(address => !graph.tokens.has(address));
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Token not found',
+        message: `No pools with liquidity found for token: ${missing.join(', ')}`
+      });
+    }
+
+    const fromToken = graph.tokens.get(from);
+    const routes = findRoutes(graph, from, to, toUnits(amount, fromToken.decimals), {
+      maxHops,
+      maxRoutes: limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: fromToken,
+        to: graph.tokens.get(to),
+        amountIn: amount,
+        maxHops: maxHops,
+        routes: routes,
+        bestRoute: routes[0] || null
+      },
+      snapshot: describeSnapshot(snapshot)
+    });
+
+  } catch (error) {
+    req.log.error('Error finding route', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// List tokens with aggregated prices, liquidity and volume
+async function getTokens(req, res) {
+  try {
+    const { page, limit, sortBy, sortOrder } = req.query;
+    const search = (req.query.search || '').toLowerCase();
+    // A complete address, in any form, matches that token only
+    const searchAddress = normalizeAddress(req.query.search);
+
+    const snapshot = await snapshots.get();
+    let tokens = listTokens(snapshot);
+
+    if (searchAddress) {
+      tokens = tokens.filter(token => token.address === searchAddress);
+    } else if (search) {
+      tokens = tokens.filter(token =>
+        token.symbol.toLowerCase().includes(search) ||
+        token.name.toLowerCase().includes(search) ||
+        token.address.toLowerCase().includes(search)
+      );
+    }
+
+    tokens = [...tokens].sort((a, b) => {
+      let comparison = 0;
+
+      switch (sortBy) {
+        case 'volume':
+          comparison = b.totalVolume24h - a.totalVolume24h;
+          break;
+        case 'price':
+          comparison = b.priceUsd - a.priceUsd;
+          break;
+        case 'pools':
+          comparison = b.poolCount - a.poolCount;
+          break;
+        case 'symbol':
+          comparison = a.symbol.localeCompare(b.symbol);
+          break;
+        default:
+          comparison = b.totalLiquidity - a.totalLiquidity;
+      }
+
+      return sortOrder === 'asc' ? -comparison : comparison;
+    });
+
+    const paginatedResult = paginateResults(tokens, page, limit);
+
+    res.status(200).json({
+      success: true,
+      data: paginatedResult.data,
+      pagination: paginatedResult.pagination,
+      filters: { search, sortBy, sortOrder },
+      snapshot: describeSnapshot(snapshot)
+    });
+
+  } catch (error) {
+    req.log.error('Error fetching tokens', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Get a token with every pool it trades in
+async function getToken(req, res) {
+  try {
+    const { address } = req.params;
+
+    const snapshot = await snapshots.get();
+    const token = summarizeToken(snapshot, address);
+
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        error: 'Token not found',
+        message: `No asset found for address: ${address}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { ...token, oracle: getOraclePrices(snapshot).get(address) || null },
+      addressForms: describeAddress(address),
+      snapshot: describeSnapshot(snapshot)
+    });
+
+  } catch (error) {
+    req.log.error('Error fetching token', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Get the pools trading two tokens against each other, in either token order
+async function getTokenPair(req, res) {
+  try {
+    const { address, otherAddress } = req.params;
+
+    const snapshot = await snapshots.get();
+    const tokenIndex = getTokenIndex(snapshot);
+    const missing = [address, otherAddress].filter(tokenAddress => !tokenIndex.has(tokenAddress));
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Token not found',
+        message: `No asset found for address: ${missing.join(', ')}`
+      });
+    }
+
+    // Ask for both orders; the upstream keys pools by (token0, token1)
+    const responses = await Promise.all([
+      dataSource.getPoolsByAssetPair({ asset0Address: address, asset1Address: otherAddress }),
+      dataSource.getPoolsByAssetPair({ asset0Address: otherAddress, asset1Address: address })
+    ]);
+
+    const pools = new Map();
+    responses.forEach(response => {
+      ((response && response.pool_list) || response || []).forEach(pool => pools.set(toCanonicalAddress(pool.address), pool));
+    });
+
+    const pairs = calculateTradingPairs(snapshot.assets, [...pools.values()]).map(pair => ({
+      ...pair,
+      // Price of the first token in the URL in units of the second one
+      pairPrice: impliedPrice(pair, address),
+      inverted: pair.token0.address !== address
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: pairs,
+      base: summarizeToken(snapshot, address, { includePools: false }),
+      quote: summarizeToken(snapshot, otherAddress, { includePools: false }),
+      totalPools: pairs.length,
+      snapshot: describeSnapshot(snapshot)
+    });
+
+  } catch (error) {
+    req.log.error('Error fetching token pair', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Value token holdings and LP positions in USD and TON
+async function getPortfolio(req, res) {
+  try {
+    const { holdings, positions } = req.body;
+
+    if (holdings.length === 0 && positions.length === 0) {
+      return rejectInvalid(res, [{ location: 'body', field: 'holdings', message: 'holdings or positions must list at least one line' }]);
+    }
+
+    const snapshot = await snapshots.get();
+
+    res.status(200).json({
+      success: true,
+      data: valuePortfolio(snapshot, { holdings, positions }),
+      snapshot: describeSnapshot(snapshot)
+    });
+
+  } catch (error) {
+    req.log.error('Error valuing portfolio', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Value what a wallet holds, from STON.fi's wallet asset and pool lookups
+async function getWallet(req, res) {
+  try {
+    const { address } = req.params;
+
+    const [snapshot, assets, pools] = await Promise.all([
+      snapshots.get(),
+      dataSource.getWalletAssets(address),
+      dataSource.getWalletPools(address)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: valuePortfolio(snapshot, walletToPortfolio(snapshot, assets, pools)),
+      addressForms: describeAddress(address),
+      snapshot: describeSnapshot(snapshot)
+    });
+
+  } catch (error) {
+    req.log.error('Error fetching wallet', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Get assets
+// Category registry with pair and token counts for the current snapshot
+async function getCategories(req, res) {
+  try {
+    const snapshot = await snapshots.get();
+    const { categories, tags } = describeRegistry(snapshot.pairs);
+
+    res.status(200).json({
+      success: true,
+      data: categories,
+      tags: tags,
+      snapshot: describeSnapshot(snapshot)
+    });
+
+  } catch (error) {
+    req.log.error('Error fetching categories', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Oracle USD prices derived from the pool graph
+async function getOracleList(req, res) {
+  try {
+    const { page, limit, source, minConfidence, sortBy, sortOrder } = req.query;
+
+    const snapshot = await snapshots.get();
+    let prices = [...getOraclePrices(snapshot).values()].filter(price =>
+      (source === 'all' || price.source === source) && price.confidence >= minConfidence
+    );
+
+    prices = prices.sort((a, b) => {
+      let comparison = 0;
+
+      switch (sortBy) {
+        case 'price':
+          comparison = (b.usdPrice || 0) - (a.usdPrice || 0);
+          break;
+        case 'liquidity':
+          comparison = (b.liquidity || 0) - (a.liquidity || 0);
+          break;
+        case 'symbol':
+          comparison = a.symbol.localeCompare(b.symbol);
+          break;
+        default:
+          comparison = b.confidence - a.confidence || (b.liquidity || 0) - (a.liquidity || 0);
+      }
+
+      return sortOrder === 'asc' ? -comparison : comparison;
+    });
+
+    const paginatedResult = paginateResults(prices, page, limit);
+
+    res.status(200).json({
+      success: true,
+      data: paginatedResult.data,
+      pagination: paginatedResult.pagination,
+      filters: { source, minConfidence, sortBy, sortOrder },
+      snapshot: describeSnapshot(snapshot)
+    });
+
+  } catch (error) {
+    req.log.error('Error computing oracle prices', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+async function getOraclePrice(req, res) {
+  try {
+    const { address } = req.params;
+
+    const snapshot = await snapshots.get();
+    const price = getOraclePrices(snapshot).get(address);
+
+    if (!price) {
+      return res.status(404).json({
+        success: false,
+        error: 'Token not found',
+        message: `No asset found for address: ${address}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: price,
+      addressForms: describeAddress(address),
+      snapshot: describeSnapshot(snapshot)
+    });
+
+  } catch (error) {
+    req.log.error('Error computing oracle price', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+async function getAssets(req, res) {
+  try {
+    const { format } = negotiateFormat(req);
+
+    const snapshot = await snapshots.get();
+
+    if (format !== 'json') {
+      return sendRows(res, snapshot.assets, {
+        format,
+        columns: parseColumns(req.query),
+        filename: `assets-${snapshot.id}`,
+        snapshot
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: snapshot.assets,
+      cached: true,
+      totalAssets: snapshot.assets.length,
+      lastUpdated: snapshot.createdAt,
+      snapshot: describeSnapshot(snapshot)
+    });
+
+  } catch (error) {
+    req.log.error('Error fetching assets', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Get pools
+async function getPools(req, res) {
+  try {
+    const { format } = negotiateFormat(req);
+
+    const snapshot = await snapshots.get();
+
+    if (format !== 'json') {
+      return sendRows(res, snapshot.pools, {
+        format,
+        columns: parseColumns(req.query),
+        filename: `pools-${snapshot.id}`,
+        snapshot
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: snapshot.pools,
+      cached: true,
+      totalPools: snapshot.pools.length,
+      lastUpdated: snapshot.createdAt,
+      snapshot: describeSnapshot(snapshot)
+    });
+
+  } catch (error) {
+    req.log.error('Error fetching pools', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// List alert rules
+function listAlerts(req, res) {
+  const rules = alerts.list();
+
+  res.status(200).json({
+    success: true,
+    data: rules,
+    totalAlerts: rules.length
+  });
+}
+
+// Get a single alert rule
+function getAlert(req, res) {
+  const rule = alerts.get(req.params.id);
+
+  if (!rule) {
+    return res.status(404).json({
+      success: false,
+      error: 'Alert not found',
+      message: `No alert rule with id: ${req.params.id}`
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: rule
+  });
+}
+
+// Create an alert rule
+async function createAlert(req, res) {
+  try {
+    const result = await alerts.create(req.body);
+
+    if (result.errors) {
+      return rejectInvalid(res, result.errors.map(error => ({ location: 'body', ...error })));
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result.rule
+    });
+
+  } catch (error) {
+    req.log.error('Error creating alert', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Update an alert rule
+async function updateAlert(req, res) {
+  try {
+    const result = await alerts.update(req.params.id, req.body);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found',
+        message: `No alert rule with id: ${req.params.id}`
+      });
+    }
+
+    if (result.errors) {
+      return rejectInvalid(res, result.errors.map(error => ({ location: 'body', ...error })));
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result.rule
+    });
+
+  } catch (error) {
+    req.log.error('Error updating alert', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Delete an alert rule
+async function deleteAlert(req, res) {
+  try {
+    const removed = await alerts.remove(req.params.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found',
+        message: `No alert rule with id: ${req.params.id}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Alert ${req.params.id} deleted`
+    });
+
+  } catch (error) {
+    req.log.error('Error deleting alert', { error });
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Helper function to check the upstream and the snapshot for the health endpoints.
+// Degraded means we are serving last good data or the circuit breaker isn't closed.
+function checkHealth() {
+  const upstream = dataSource.getStatus
+    ? dataSource.getStatus()
+    : { mode: dataSource.mode, circuit: null }; // Replay has no upstream to break
+  const snapshot = snapshots.getStatus();
+
+  let status = 'ok';
+  if (!snapshot.ready) {
+    status = 'unavailable';
+  } else if (snapshot.stale || (upstream.circuit && upstream.circuit.state !== 'closed')) {
+    status = 'degraded';
+  }
+
+  return { status, upstream, snapshot };
+}
+
+// Health check
+function getHealth(req, res) {
+  const snapshot = snapshots.peek();
+  const health = checkHealth();
+
+  res.status(200).json({
+    success: true,
+    status: health.status,
+    message: 'STON.fi API server is running',
+    timestamp: new Date().toISOString(),
+    cache: {
+      priceDataCached: true,
+      refreshInterval: snapshots.refreshInterval,
+      maxStaleness: snapshots.maxStaleness,
+      lastUpdated: snapshot ? snapshot.createdAt : null
+    },
+    snapshot: snapshot ? describeSnapshot(snapshot) : null,
+    checks: {
+      upstream: health.upstream,
+      snapshot: health.snapshot
+    },
+    dataSource: dataSource.mode,
+    environment: process.env.VERCEL ? 'vercel' : 'node'
+  });
+}
+
+// Liveness: the process is up and answering; says nothing about the data
+function getLiveness(req, res) {
+  res.status(200).json({
+    success: true,
+    status: 'alive',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime()
+  });
+}
+
+// Readiness: 200 once there is a snapshot to serve (stale data included, so an
+// upstream outage doesn't pull every instance out of rotation), 503 before that
+async function getReadiness(req, res) {
+  if (!snapshots.peek()) {
+    // Nothing polled yet (e.g. a fresh serverless instance): try loading it once
+    try {
+      await snapshots.get();
+    } catch (error) {
+      req.log.warn('Readiness check could not load a snapshot', { error });
+    }
+  }
+
+  const health = checkHealth();
+  const ready = health.snapshot.ready;
+
+  res.status(ready ? 200 : 503).json({
+    success: ready,
+    status: health.status,
+    timestamp: new Date().toISOString(),
+    checks: {
+      upstream: health.upstream,
+      snapshot: health.snapshot
+    }
+  });
+}
+
+// API usage per key and for the anonymous tier, since this process started (admin only)
+function getUsage(req, res) {
+  res.status(200).json({
+    success: true,
+    data: access.getUsage(),
+    timestamp: new Date().toISOString()
+  });
+}
+
+// OpenAPI 3 document generated from the route table and its schemas (see lib/openapi.js)
+function getOpenApi(req, res) {
+  // Required here rather than at the top: lib/routes.js requires this module
+  const { routes } = require('./routes');
+  res.status(200).json(buildOpenApi(routes));
+}
+
+// Prometheus metrics for this process (see lib/metrics.js)
+function getMetrics(req, res) {
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.status(200).send(metrics.render());
+}
+
+module.exports = {
+  getPairs,
+  getPair,
+  getCandles,
+  getImpermanentLoss,
+  getDepth,
+  searchPairs,
+  suggest,
+  simulateSwap,
+  findRoute,
+  getTokens,
+  getToken,
+  getTokenPair,
+  getPortfolio,
+  getWallet,
+  getCategories,
+  getOracleList,
+  getOraclePrice,
+  getAssets,
+  getPools,
+  listAlerts,
+  getAlert,
+  createAlert,
+  updateAlert,
+  deleteAlert,
+  getHealth,
+  getLiveness,
+  getReadiness,
+  getUsage,
+  getOpenApi,
+  getMetrics
+};
@@ -0,0 +1,230 @@
+// lib/history.js - Append-only price history and OHLCV candles per pool
+//
+// Each refreshed snapshot is sampled into one NDJSON file per UTC day under
+// HISTORY_DIR. The first sample written to a day file is a keyframe with every
+// pool; later samples only contain pools whose values changed, so a single day
+// file is always enough to know every pool's value at any time of that day.
+// Day files older than HISTORY_RETENTION_DAYS are deleted.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const INTERVALS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': DAY
+};
+
+const MAX_CANDLES = 5000;
+
+const DEFAULT_DIR = process.env.VERCEL
+  ? path.join(os.tmpdir(), 'stonfi-history') // Only /tmp is writable on Vercel
+  : path.join(__dirname, '..', 'data', 'history');
+
+// Helper function to get the day file name (YYYY-MM-DD) for a timestamp
+function dayKey(timestamp) {
+  return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+// Helper function to turn a pair into a history row
+function toRow(timestamp, pair) {
+  return {
+    t: timestamp,
+    pool: pair.poolAddress,
+    price: pair.price,
+    reserve0: pair.reserves.token0,
+    reserve1: pair.reserves.token1,
+    liquidity: pair.liquidity,
+    volume24h: pair.volume24h
+  };
+}
+
+// Helper function to check whether a row differs from the last one written
+function rowChanged(previous, row) {
+  return !previous ||
+    previous.price !== row.price ||
+    previous.reserve0 !== row.reserve0 ||
+    previous.reserve1 !== row.reserve1 ||
+    previous.liquidity !== row.liquidity ||
+    previous.volume24h !== row.volume24h;
+}
+
+// Create a history store writing to the given directory
+function createHistoryStore({
+  dir = process.env.HISTORY_DIR || DEFAULT_DIR,
+  retentionDays = parseInt(process.env.HISTORY_RETENTION_DAYS) || 30,
+  sampleInterval = parseInt(process.env.HISTORY_SAMPLE_INTERVAL) || 60000
+} = {}) {
+  let lastRows = new Map();
+  let currentDay = null;
+  let lastSampleAt = 0;
+  let lastPruneAt = 0;
+  let writeQueue = Promise.resolve();
+
+  // Append a sample of the snapshot, skipping it if the last one is too recent
+  function record(snapshot) {
+    if (snapshot.createdAt - lastSampleAt < sampleInterval) {
+      return writeQueue;
+    }
+    lastSampleAt = snapshot.createdAt;
+
+    // Writes are chained so samples never interleave within a file
+    writeQueue = writeQueue.then(() => write(snapshot));
+    return writeQueue;
+  }
+
+  async function write(snapshot) {
+    const day = dayKey(snapshot.createdAt);
+
+    // A new day file starts with a full keyframe
+    if (day !== currentDay) {
+      currentDay = day;
+      lastRows = new Map();
+    }
+
+    const lines = [];
+    snapshot.pairs.forEach(pair => {
+      const row = toRow(snapshot.createdAt, pair);
+      if (rowChanged(lastRows.get(row.pool), row)) {
+        lastRows.set(row.pool, row);
+        lines.push(JSON.stringify(row));
+      }
+    });
+
+    if (lines.length > 0) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.appendFile(path.join(dir, `${day}.ndjson`), lines.join('\n') + '\n');
+    }
+
+    if (snapshot.createdAt - lastPruneAt > 60 * 60 * 1000) {
+      lastPruneAt = snapshot.createdAt;
+      await prune(snapshot.createdAt);
+    }
+  }
+
+  // Delete day files that fall outside the retention window
+  async function prune(now = Date.now()) {
+    const oldestKept = dayKey(now - retentionDays * DAY);
+    let files;
+    try {
+      files = await fs.promises.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    await Promise.all(files
+      .filter(file => /^\d{4}-\d{2}-\d{2}\.ndjson$/.test(file) && file.slice(0, 10) < oldestKept)
+      .map(file => fs.promises.unlink(path.join(dir, file))));
+  }
+
+  // Read every recorded sample for a pool between two timestamps (inclusive)
+  async function readSeries(poolAddress, from, to) {
+    const samples = [];
+
+    for (let day = Math.floor(from / DAY) * DAY; day <= to; day += DAY) {
+      const file = path.join(dir, `${dayKey(day)}.ndjson`);
+      if (!fs.existsSync(file)) continue;
+
+      const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+      for await (const line of lines) {
+        // Cheap substring check before paying for JSON.parse
+        if (!line.includes(poolAddress)) continue;
+        const row = JSON.parse(line);
+        if (row.pool === poolAddress && row.t <= to) {
+          samples.push(row);
+        }
+      }
+    }
+
+    return samples;
+  }
+
+  // The last sample recorded for a pool at or before a timestamp, or null. The
+  // day file's keyframe means that day is the only one to read.
+  async function getSampleAt(poolAddress, timestamp) {
+    const samples = await readSeries(poolAddress, timestamp, timestamp);
+    return samples.length > 0 ? samples[samples.length - 1] : null;
+  }
+
+  // Build OHLCV candles for a pool; see buildCandles for the bar layout
+  async function getCandles(poolAddress, { interval, from, to }) {
+    const samples = await readSeries(poolAddress, from, to);
+    return buildCandles(samples, INTERVALS[interval], from, to);
+  }
+
+  return {
+    dir,
+    retentionDays,
+    sampleInterval,
+    record,
+    prune,
+    readSeries,
+    getSampleAt,
+    getCandles
+  };
+}
+
+// Helper function to bucket samples into OHLCV candles
+//
+// Prices are open/high/low/close of the sampled pool price. The pool API only
+// reports a rolling 24h volume, so each bar carries the last volume24h seen in
+// it rather than the volume traded within the bar. Empty bars after the first
+// sample are carried forward from the previous close.
+function buildCandles(samples, intervalMs, from, to) {
+  const candles = [];
+  const firstBucket = Math.floor(from / intervalMs) * intervalMs;
+  let previous = null;
+  let index = 0;
+
+  // Samples before the range only seed the opening value
+  while (index < samples.length && samples[index].t < firstBucket) {
+    previous = samples[index];
+    index++;
+  }
+
+  for (let start = firstBucket; start <= to; start += intervalMs) {
+    const end = start + intervalMs;
+    const bucket = [];
+    while (index < samples.length && samples[index].t < end) {
+      bucket.push(samples[index]);
+      index++;
+    }
+
+    if (bucket.length === 0 && !previous) continue;
+
+    const open = previous ? previous.price : bucket[0].price;
+    const last = bucket.length > 0 ? bucket[bucket.length - 1] : previous;
+    const prices = bucket.map(sample => sample.price);
+
+    candles.push({
+      time: start,
+      open: open,
+      high: Math.max(open, ...prices),
+      low: Math.min(open, ...prices),
+      close: last.price,
+      volume24h: last.volume24h,
+      liquidity: last.liquidity,
+      reserves: {
+        token0: last.reserve0,
+        token1: last.reserve1
+      },
+      samples: bucket.length
+    });
+
+    previous = last;
+  }
+
+  return candles;
+}
+
+module.exports = {
+  INTERVALS,
+  MAX_CANDLES,
+  createHistoryStore,
+  buildCandles
+};
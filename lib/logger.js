@@ -0,0 +1,60 @@
+// lib/logger.js - Structured JSON logger
+//
+// Every entry is one JSON line on stdout: time, level, msg, the logger's bound
+// fields (component, requestId, ...) and the entry's own fields. Entries below
+// LOG_LEVEL (debug, info, warn, error or silent; default info) are dropped.
+// Error values in fields are written as { name, message, code, stack }.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LEVEL = 'info';
+
+// Helper function to make Error values JSON-friendly (they serialize to {} otherwise)
+function serializeFields(fields) {
+  const serialized = {};
+  Object.entries(fields || {}).forEach(([key, value]) => {
+    serialized[key] = value instanceof Error
+      ? { name: value.name, message: value.message, code: value.code, stack: value.stack }
+      : value;
+  });
+  return serialized;
+}
+
+// Create a logger; `bindings` are added to every entry it (and its children) write
+function createLogger({
+  level = process.env.LOG_LEVEL,
+  bindings = {},
+  write = line => process.stdout.write(line)
+} = {}) {
+  const threshold = LEVELS[String(level || '').toLowerCase()] || LEVELS[DEFAULT_LEVEL];
+
+  function log(entryLevel, msg, fields) {
+    if (LEVELS[entryLevel] < threshold) return;
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg,
+      ...bindings,
+      ...serializeFields(fields)
+    };
+    write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    debug: (msg, fields) => log('debug', msg, fields),
+    info: (msg, fields) => log('info', msg, fields),
+    warn: (msg, fields) => log('warn', msg, fields),
+    error: (msg, fields) => log('error', msg, fields),
+    isLevelEnabled: entryLevel => LEVELS[entryLevel] >= threshold,
+    // Logger writing the same way with extra bound fields (e.g. { requestId })
+    child: extra => createLogger({ level, bindings: { ...bindings, ...extra }, write })
+  };
+}
+
+// Process-wide logger; modules take a child bound to their component
+const logger = createLogger();
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  logger
+};
@@ -0,0 +1,101 @@
+// lib/lpReturns.js - Impermanent loss and LP return math for constant-product pools
+//
+// A deposit is split evenly between a pool's two tokens. If token0's price in
+// token1 then moves by a factor r, the LP share is worth sqrt(r) times the
+// deposit while simply holding both tokens is worth (1 + r) / 2 times it, so
+// impermanent loss is 2 * sqrt(r) / (1 + r) - 1 (never positive). Fees stay in
+// the pool and grow the share by the pool's APY compounded over the holding
+// period. The break-even range is where that fee growth makes up for the
+// loss: (1 + fees) * 2 * sqrt(r) / (1 + r) >= 1, which solves to
+// sqrt(r) = (1 + fees) -/+ sqrt((1 + fees)^2 - 1).
+//
+// Values are in the deposit's USD with token1 as the unit of account: its USD
+// price is held constant and only token0's price in token1 moves.
+
+const DAYS_PER_YEAR = 365;
+const DEFAULT_PERIOD_DAYS = 30;
+const MAX_PERIOD_DAYS = 3650;
+
+// Impermanent loss for a price ratio, as a (negative) fraction of the held value
+function impermanentLoss(ratio) {
+  return (2 * Math.sqrt(ratio)) / (1 + ratio) - 1;
+}
+
+// Fee growth over a number of days at an APY given in percent (STON.fi's apy1D)
+function projectFees(apyPercent, days) {
+  if (!(apyPercent > 0) || !(days > 0)) return 0;
+  return Math.pow(1 + apyPercent / 100, days / DAYS_PER_YEAR) - 1;
+}
+
+// Price ratios (end / start) between which fees cover the impermanent loss
+function breakEvenRatios(fees) {
+  const growth = 1 + fees;
+  const spread = Math.sqrt(growth * growth - 1);
+  return { low: Math.pow(growth - spread, 2), high: Math.pow(growth + spread, 2) };
+}
+
+// Helper function to express a value against a reference as a percent
+function toPercent(value, reference) {
+  return reference > 0 ? (value / reference) * 100 : 0;
+}
+
+// LP returns for a deposit when token0's price in token1 goes from startPrice
+// to endPrice over `days`, with fees at `apy` percent
+function calculateLpReturns({ deposit, startPrice, endPrice, days, apy }) {
+  const ratio = endPrice / startPrice;
+  const fees = projectFees(apy, days);
+
+  const holdValue = deposit * (1 + ratio) / 2;
+  const lpValue = deposit * Math.sqrt(ratio);
+  const feeValue = lpValue * fees;
+  const lpValueWithFees = lpValue + feeValue;
+  const breakEven = breakEvenRatios(fees);
+
+  return {
+    deposit,
+    days,
+    apy,
+    price: {
+      start: startPrice,
+      end: endPrice,
+      ratio,
+      changePercent: (ratio - 1) * 100
+    },
+    hold: {
+      value: holdValue,
+      returnPercent: toPercent(holdValue - deposit, deposit)
+    },
+    lp: {
+      value: lpValue,
+      valueWithFees: lpValueWithFees,
+      returnPercent: toPercent(lpValueWithFees - deposit, deposit)
+    },
+    impermanentLoss: {
+      value: lpValue - holdValue,
+      percent: impermanentLoss(ratio) * 100
+    },
+    fees: {
+      value: feeValue,
+      percent: fees * 100
+    },
+    netVsHold: {
+      value: lpValueWithFees - holdValue,
+      percent: toPercent(lpValueWithFees - holdValue, holdValue)
+    },
+    breakEven: {
+      priceLow: startPrice * breakEven.low,
+      priceHigh: startPrice * breakEven.high,
+      changeLowPercent: (breakEven.low - 1) * 100,
+      changeHighPercent: (breakEven.high - 1) * 100
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_PERIOD_DAYS,
+  MAX_PERIOD_DAYS,
+  impermanentLoss,
+  projectFees,
+  breakEvenRatios,
+  calculateLpReturns
+};
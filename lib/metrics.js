@@ -0,0 +1,281 @@
+// lib/metrics.js - Prometheus metrics and per-request instrumentation
+//
+// A small in-process registry of counters, histograms and gauges rendered in
+// the Prometheus text format at /metrics. Counters and histograms are updated
+// as things happen; gauges are read from a callback at scrape time. Route
+// handlers go through instrumentRoute(), which gives each request an id (taken
+// from X-Request-Id when the caller sent a usable one), a logger bound to it,
+// and records its count and latency under the route path (not the raw URL, so
+// pool addresses don't explode the label set).
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Seconds; covers a cached hit (ms) up to a slow upstream call
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestLogger = logger.child({ component: 'http' });
+
+// Helper function to escape a label value for the text format
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// Helper function to render a label set, e.g. {route="/api/pairs",status="200"}
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+// Helper function to render a sample value (Prometheus spells infinities +Inf/-Inf)
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Helper function to key a series by its label values, in label-name order
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] === undefined ? '' : labels[name])));
+}
+
+// Helper function to pick the declared labels of a series (in declared order)
+function pickLabels(labelNames, labels) {
+  const picked = {};
+  labelNames.forEach(name => {
+    picked[name] = labels[name] === undefined ? '' : labels[name];
+  });
+  return picked;
+}
+
+// Create a registry of metrics that renders itself in the Prometheus text format
+function createRegistry() {
+  const metrics = new Map();
+
+  function register(name, metric) {
+    if (metrics.has(name)) throw new Error(`Metric ${name} is already registered`);
+    metrics.set(name, metric);
+    return metric;
+  }
+
+  // Monotonic counter: inc(labels, amount = 1)
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    return register(name, {
+      type: 'counter',
+      help,
+      inc(labels = {}, amount = 1) {
+        const key = seriesKey(labelNames, labels);
+        const entry = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        entry.value += amount;
+        series.set(key, entry);
+      },
+      // Current value of one series (0 if it has never been incremented)
+      get(labels = {}) {
+        const entry = series.get(seriesKey(labelNames, labels));
+        return entry ? entry.value : 0;
+      },
+      samples: () => [...series.values()].map(entry => ({ name, labels: entry.labels, value: entry.value }))
+    });
+  }
+
+  // Histogram with cumulative buckets: observe(labels, value)
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    return register(name, {
+      type: 'histogram',
+      help,
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) {
+          series.set(key, { labels: pickLabels(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 });
+        }
+        const entry = series.get(key);
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+      samples: () => [...series.values()].flatMap(entry => [
+        ...buckets.map((bound, index) => ({
+          name: `${name}_bucket`,
+          labels: { ...entry.labels, le: formatValue(bound) },
+          value: entry.counts[index]
+        })),
+        { name: `${name}_bucket`, labels: { ...entry.labels, le: '+Inf' }, value: entry.count },
+        { name: `${name}_sum`, labels: entry.labels, value: entry.sum },
+        { name: `${name}_count`, labels: entry.labels, value: entry.count }
+      ])
+    });
+  }
+
+  // Gauge read at scrape time; collect() returns a number, or [{ labels, value }]
+  // for several series (null/undefined to skip)
+  function gauge(name, help, collect) {
+    return register(name, {
+      type: 'gauge',
+      help,
+      samples: () => {
+        const collected = collect();
+        if (collected === null || collected === undefined) return [];
+        const list = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+        return list.map(sample => ({ name, labels: sample.labels || {}, value: sample.value }));
+      }
+    });
+  }
+
+  // Render every metric in the Prometheus text exposition format (version 0.0.4)
+  function render() {
+    const lines = [];
+    metrics.forEach((metric, name) => {
+      let samples;
+      try {
+        samples = metric.samples();
+      } catch (error) {
+        logger.warn('Error collecting metric', { component: 'metrics', metric: name, error });
+        return;
+      }
+      lines.push(`# HELP ${name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${name} ${metric.type}`);
+      samples.forEach(sample => {
+        lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+      });
+    });
+    return `${lines.join('\n')}\n`;
+  }
+
+  return { counter, histogram, gauge, render };
+}
+
+// Process-wide registry and the metrics recorded across lib/
+const registry = createRegistry();
+
+const httpRequests = registry.counter(
+  'stonfi_http_requests_total',
+  'HTTP requests served, by method, route and status code',
+  ['method', 'route', 'status']
+);
+const httpDuration = registry.histogram(
+  'stonfi_http_request_duration_seconds',
+  'Time to serve an HTTP request, by method and route',
+  ['method', 'route']
+);
+const upstreamRequests = registry.counter(
+  'stonfi_upstream_requests_total',
+  'Calls to the STON.fi data source, by operation and outcome (success or error)',
+  ['source', 'operation', 'outcome']
+);
+const upstreamDuration = registry.histogram(
+  'stonfi_upstream_request_duration_seconds',
+  'Latency of calls to the STON.fi data source, by operation',
+  ['source', 'operation']
+);
+const snapshotLookups = registry.counter(
+  'stonfi_snapshot_lookups_total',
+  'Snapshot reads by result: fresh (served), revalidate (served, refreshing in the background), ' +
+    'miss (waited for the upstream) or fallback (last good snapshot served after an upstream failure)',
+  ['result']
+);
+const snapshotRefreshes = registry.counter(
+  'stonfi_snapshot_refreshes_total',
+  'Snapshot refreshes by outcome (success or error)',
+  ['outcome']
+);
+const cacheLookups = registry.counter(
+  'stonfi_cache_lookups_total',
+  'Lookups in the per-snapshot derived-data caches, by cache and result (hit or miss)',
+  ['cache', 'result']
+);
+const cacheNames = new Set();
+
+registry.gauge(
+  'stonfi_cache_hit_ratio',
+  'Share of lookups answered from memory, by cache (for the snapshot, every read that did not wait on the upstream)',
+  () => {
+    const ratios = [];
+    const snapshotHits = ['fresh', 'revalidate', 'fallback']
+      .reduce((sum, result) => sum + snapshotLookups.get({ result }), 0);
+    const snapshotTotal = snapshotHits + snapshotLookups.get({ result: 'miss' });
+    if (snapshotTotal > 0) ratios.push({ labels: { cache: 'snapshot' }, value: snapshotHits / snapshotTotal });
+
+    cacheNames.forEach(cache => {
+      const hits = cacheLookups.get({ cache, result: 'hit' });
+      const total = hits + cacheLookups.get({ cache, result: 'miss' });
+      if (total > 0) ratios.push({ labels: { cache }, value: hits / total });
+    });
+    return ratios;
+  }
+);
+
+registry.gauge('stonfi_process_uptime_seconds', 'Seconds since the process started', () => process.uptime());
+registry.gauge('stonfi_process_resident_memory_bytes', 'Resident set size of the process', () => process.memoryUsage().rss);
+registry.gauge('stonfi_process_heap_used_bytes', 'V8 heap in use', () => process.memoryUsage().heapUsed);
+
+// Record a lookup in a derived-data cache (e.g. recordCacheLookup('oracle', cache.has(snapshot)))
+function recordCacheLookup(cache, hit) {
+  cacheNames.add(cache);
+  cacheLookups.inc({ cache, result: hit ? 'hit' : 'miss' });
+}
+
+// Record one call to the data source
+function recordUpstreamCall(source, operation, seconds, error) {
+  upstreamRequests.inc({ source, operation, outcome: error ? 'error' : 'success' });
+  upstreamDuration.observe({ source, operation }, seconds);
+}
+
+// Helper function to reuse the caller's request id when it is safe to log and echo back
+function getRequestId(req) {
+  const header = req.headers && req.headers['x-request-id'];
+  return typeof header === 'string' && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+}
+
+// Wrap a route handler so each request gets req.id and req.log, an X-Request-Id
+// header, and a count, latency sample and log entry once the response is done
+function instrumentRoute(route, handler) {
+  return function instrumentedHandler(req, res) {
+    const start = process.hrtime.bigint();
+    req.id = getRequestId(req);
+    req.log = requestLogger.child({ requestId: req.id });
+    res.setHeader('X-Request-Id', req.id);
+
+    let recorded = false;
+    const record = () => {
+      if (recorded) return;
+      recorded = true;
+
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      const status = res.statusCode;
+      httpRequests.inc({ method: req.method, route, status });
+      httpDuration.observe({ method: req.method, route }, seconds);
+
+      const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+      req.log[level]('Request completed', {
+        method: req.method,
+        route,
+        url: req.originalUrl || req.url,
+        status,
+        durationMs: Math.round(seconds * 1e6) / 1e3,
+        // Client went away before the response was fully written (e.g. a closed stream)
+        aborted: !res.writableFinished || undefined
+      });
+    };
+    res.once('finish', record);
+    res.once('close', record);
+
+    return handler(req, res);
+  };
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  createRegistry,
+  registry,
+  snapshotLookups,
+  snapshotRefreshes,
+  recordCacheLookup,
+  recordUpstreamCall,
+  instrumentRoute,
+  render: () => registry.render()
+};
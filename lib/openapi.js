@@ -0,0 +1,193 @@
+// lib/openapi.js - OpenAPI 3 document generated from the route table
+//
+// Paths, parameters, request bodies and responses come from each route's
+// schema (lib/schemas.js), the same ones lib/validation.js enforces, so the
+// document served at /api/openapi.json can't drift from the code. Responses
+// every route shares (validation errors, access control, upstream failures)
+// are added here from the route's access level. Server-only routes (see
+// lib/routes.js) are marked with x-server-only: they are not deployed on Vercel.
+const { components } = require('./schemas');
+const { version } = require('../package.json');
+
+const EXPORT_CONTENT_TYPES = {
+  'text/csv': { schema: { type: 'string' } },
+  'application/x-ndjson': { schema: { type: 'string' } }
+};
+
+// Documents by route table, built on first request
+const documents = new WeakMap();
+
+// Helper function to turn an Express path (/api/pairs/:poolAddress) into an OpenAPI one
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+// Helper function to drop patternMessage (only used by lib/validation.js) from a
+// schema, nested items and properties included
+function toSchema(schema) {
+  const { patternMessage, ...result } = schema;
+  if (schema.properties) {
+    result.properties = {};
+    Object.entries(schema.properties).forEach(([name, property]) => {
+      result.properties[name] = toSchema(property);
+    });
+  }
+  if (schema.items) result.items = toSchema(schema.items);
+  return result;
+}
+
+// Helper function to build the parameter objects of one location
+function toParameters(fields = {}, location) {
+  return Object.entries(fields).map(([name, field]) => {
+    // required and description belong to the parameter, the rest is its schema
+    const { required, description, ...schema } = field;
+    const parameter = {
+      name,
+      in: location === 'params' ? 'path' : 'query',
+      required: location === 'params' || Boolean(required),
+      schema: toSchema(schema)
+    };
+    if (description) parameter.description = description;
+    // Lists are comma-separated: ?sort=-volume24h,name
+    if (schema.type === 'array') {
+      parameter.style = 'form';
+      parameter.explode = false;
+    }
+    return parameter;
+  });
+}
+
+// Helper function to reference a shared response
+function responseRef(name) {
+  return { $ref: `#/components/responses/${name}` };
+}
+
+// Helper function to build the responses of one route
+function toResponses(route) {
+  const schema = route.schema || {};
+  const responses = {};
+
+  if (schema.stream) {
+    responses[200] = {
+      description: route.description,
+      content: { 'text/event-stream': { schema: { type: 'string' } } }
+    };
+  } else if (route.path === '/metrics') {
+    responses[200] = {
+      description: route.description,
+      content: { 'text/plain': { schema: { type: 'string' } } }
+    };
+  } else {
+    const content = { 'application/json': { schema: schema.response || { type: 'object' } } };
+    if (schema.exportable) Object.assign(content, EXPORT_CONTENT_TYPES);
+    responses[schema.status || 200] = { description: route.description, content };
+  }
+
+  if (schema.params || schema.query || schema.body) responses[400] = responseRef('ValidationError');
+
+  const access = route.access || 'limited';
+  if (access !== 'open') {
+    responses[401] = responseRef(access === 'admin' ? 'AdminRequired' : 'InvalidKey');
+    responses[403] = responseRef(access === 'admin' ? 'AdminRequired' : 'OriginNotAllowed');
+  }
+  if (access === 'limited') responses[429] = responseRef('RateLimited');
+
+  Object.entries(schema.errors || {}).forEach(([status, description]) => {
+    responses[status] = {
+      description,
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+  });
+
+  responses['5XX'] = responseRef('ServerError');
+  return responses;
+}
+
+// Helper function to build the security requirements of a route (anonymous allowed unless admin)
+function toSecurity(route) {
+  const access = route.access || 'limited';
+  if (access === 'open') return [];
+  const keyed = [{ apiKey: [] }, { bearer: [] }];
+  return access === 'admin' ? keyed : [{}, ...keyed];
+}
+
+// Helper function to name an operation after its handler (method-suffixed when shared)
+function toOperationId(route, routes) {
+  const name = route.handler.name;
+  const shared = routes.filter(other => other.handler === route.handler).length > 1;
+  return shared ? `${name}${route.method.charAt(0)}${route.method.slice(1).toLowerCase()}` : name;
+}
+
+// Build (once) the OpenAPI document for a route table
+function buildOpenApi(routes) {
+  if (documents.has(routes)) return documents.get(routes);
+
+  const paths = {};
+  routes.forEach(route => {
+    const schema = route.schema || {};
+    const path = toOpenApiPath(route.path);
+    const operation = {
+      operationId: toOperationId(route, routes),
+      summary: route.description,
+      tags: [route.path.split('/').filter(part => part && part !== 'api')[0].replace(/\..*$/, '')],
+      parameters: [...toParameters(schema.params, 'params'), ...toParameters(schema.query, 'query')],
+      responses: toResponses(route),
+      security: toSecurity(route)
+    };
+
+    if (schema.body) {
+      operation.requestBody = {
+        required: true,
+        content: { 'application/json': { schema: toSchema(schema.body) } }
+      };
+    }
+    if (typeof route.cost === 'number') operation['x-rate-limit-cost'] = route.cost;
+    if (route.serverOnly) operation['x-server-only'] = true;
+
+    paths[path] = paths[path] || {};
+    paths[path][route.method.toLowerCase()] = operation;
+  });
+
+  const errorContent = name => ({ 'application/json': { schema: { $ref: `#/components/schemas/${name}` } } });
+
+  const document = {
+    openapi: '3.0.3',
+    info: {
+      title: 'STON.fi API',
+      version: version,
+      description: 'Trading pairs, tokens, prices and routes from STON.fi. Requests without an API key ' +
+        'are rate limited per IP; send a key in X-API-Key or as a bearer token for higher limits. ' +
+        'Limits are reported in the RateLimit-* headers.'
+    },
+    paths: paths,
+    components: {
+      schemas: components,
+      responses: {
+        ValidationError: {
+          description: 'Invalid params, query or body; details lists every problem by field',
+          content: errorContent('ValidationError')
+        },
+        InvalidKey: { description: 'The API key is unknown or disabled', content: errorContent('Error') },
+        OriginNotAllowed: { description: 'The Origin is not allowed for this key', content: errorContent('Error') },
+        AdminRequired: { description: 'An admin API key is required', content: errorContent('Error') },
+        RateLimited: {
+          description: 'Rate limit or daily quota exceeded; retry after Retry-After seconds',
+          headers: { 'Retry-After': { schema: { type: 'integer' } } },
+          content: errorContent('Error')
+        },
+        ServerError: {
+          description: 'Internal error, or STON.fi unavailable (502, 503) or too slow (504)',
+          content: errorContent('Error')
+        }
+      },
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearer: { type: 'http', scheme: 'bearer' }
+      }
+    }
+  };
+  documents.set(routes, document);
+  return document;
+}
+
+module.exports = { buildOpenApi };
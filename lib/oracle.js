@@ -0,0 +1,270 @@
+// lib/oracle.js - Independent USD price oracle derived from the pool graph
+//
+// Prices start at the anchors (stablecoins with a fixed USD price) listed in
+// config/oracle.json. Hubs such as TON are priced next, from anchor pools only,
+// and then act as anchors themselves. Every other token is priced in
+// breadth-first rounds: each pool linking it to an already priced token gives a
+// candidate price (reserve ratio times that token's price) weighted by the USD
+// depth of the priced side. Pools shallower than minLiquidity only count when
+// nothing deeper exists, and candidates more than maxDeviation away from the
+// weighted median are rejected as outliers. The upstream dexUsdPrice is never
+// an input, only a fallback for tokens the graph can't reach.
+const fs = require('fs');
+const path = require('path');
+const { getAssetUsdPrice } = require('./pairs');
+const { getGraph } = require('./routing');
+const { impliedPrice } = require('./tokens');
+const { recordCacheLookup } = require('./metrics');
+const { normalizeAddress } = require('./address');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'config', 'oracle.json');
+const DEFAULT_MIN_LIQUIDITY = 1000; // USD depth below which a pool is "thin"
+const DEFAULT_MAX_DEVIATION = 0.1; // 10% from the weighted median
+const DEFAULT_MAX_DEPTH = 4; // Rounds of propagation away from the anchors
+
+const FULL_CONFIDENCE_LIQUIDITY = 1000000; // USD depth that earns full liquidity confidence
+const THIN_ONLY_PENALTY = 0.5; // Confidence factor when only thin pools were available
+const UPSTREAM_CONFIDENCE = 0.2; // Confidence of the upstream fallback price
+
+const SOURCES = ['anchor', 'pools', 'upstream', 'none'];
+
+// Oracle prices are derived data, so compute them once per snapshot
+const priceCache = new WeakMap();
+let config = null;
+
+// Helper function to put the addresses of anchor/hub entries in canonical form,
+// as snapshot assets carry them
+function normalizeEntries(entries, kind) {
+  return entries.map(entry => ({
+    ...entry,
+    addresses: (entry.addresses || []).map(address => {
+      const canonical = normalizeAddress(address);
+      if (!canonical) throw new Error(`Oracle ${kind}: invalid address ${address}`);
+      return canonical;
+    })
+  }));
+}
+
+// Load (once) and normalize the oracle configuration
+function loadConfig(file = process.env.ORACLE_CONFIG || DEFAULT_CONFIG_FILE) {
+  if (config && config.file === file) return config;
+
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  config = {
+    file: file,
+    anchors: normalizeEntries(raw.anchors || [], 'anchor'),
+    hubs: normalizeEntries(raw.hubs || [], 'hub'),
+    minLiquidity: raw.minLiquidity !== undefined ? raw.minLiquidity : DEFAULT_MIN_LIQUIDITY,
+    maxDeviation: raw.maxDeviation !== undefined ? raw.maxDeviation : DEFAULT_MAX_DEVIATION,
+    maxDepth: raw.maxDepth !== undefined ? raw.maxDepth : DEFAULT_MAX_DEPTH
+  };
+  return config;
+}
+
+// Helper function to check whether an asset matches an anchor/hub entry.
+// Addresses always match; symbols and kinds only match verified (non-community)
+// assets, so a look-alike jetton can't pose as an anchor.
+function matchesEntry(asset, entry) {
+  if ((entry.addresses || []).includes(asset.contractAddress)) return true;
+  if (asset.community) return false;
+  return (entry.symbols || []).includes(asset.symbol) || (entry.kinds || []).includes(asset.kind);
+}
+
+// Helper function to compute the weighted median of candidate prices
+function weightedMedian(candidates) {
+  const sorted = [...candidates].sort((a, b) => a.usdPrice - b.usdPrice);
+  const half = sorted.reduce((total, candidate) => total + candidate.liquidity, 0) / 2;
+  let cumulative = 0;
+  for (const candidate of sorted) {
+    cumulative += candidate.liquidity;
+    if (cumulative >= half) return candidate.usdPrice;
+  }
+  return sorted[sorted.length - 1].usdPrice;
+}
+
+// Candidate USD prices for a token from every pool linking it to a priced token
+function collectCandidates(graph, address, priced) {
+  const candidates = [];
+
+  (graph.edges.get(address) || []).forEach(pair => {
+    const isToken0 = pair.token0.address === address;
+    const other = isToken0 ? pair.token1 : pair.token0;
+    const source = priced.get(other.address);
+    if (!source) return;
+
+    const usdPrice = impliedPrice(pair, address) * source.usdPrice;
+    if (!(usdPrice > 0) || !Number.isFinite(usdPrice)) return;
+
+    // Weight by what the priced side of the pool is worth at the oracle's own
+    // price, so the weights don't lean on upstream USD figures either
+    const otherAmount = Number(isToken0 ? pair.exact.reserveAmounts.token1 : pair.exact.reserveAmounts.token0);
+    candidates.push({
+      usdPrice: usdPrice,
+      liquidity: 2 * otherAmount * source.usdPrice,
+      pair: pair,
+      via: source
+    });
+  });
+
+  return candidates;
+}
+
+// Combine candidates into one price, or null when there are none
+function aggregate(asset, candidates, depth, settings) {
+  if (candidates.length === 0) return null;
+
+  const deep = candidates.filter(candidate => candidate.liquidity >= settings.minLiquidity);
+  const considered = deep.length > 0 ? deep : candidates;
+  const median = weightedMedian(considered);
+  const accepted = considered.filter(candidate =>
+    Math.abs(candidate.usdPrice - median) / median <= settings.maxDeviation
+  );
+
+  const acceptedLiquidity = accepted.reduce((total, candidate) => total + candidate.liquidity, 0);
+  const consideredLiquidity = considered.reduce((total, candidate) => total + candidate.liquidity, 0);
+  const usdPrice = acceptedLiquidity > 0
+    ? accepted.reduce((total, candidate) => total + candidate.usdPrice * candidate.liquidity, 0) / acceptedLiquidity
+    : median;
+
+  // Confidence combines how deep the accepted pools are, how much of the
+  // considered liquidity agrees, and how trustworthy the prices we built on were
+  const liquidityScore = Math.min(1, Math.log10(1 + acceptedLiquidity) / Math.log10(1 + FULL_CONFIDENCE_LIQUIDITY));
+  const agreement = consideredLiquidity > 0 ? acceptedLiquidity / consideredLiquidity : 0;
+  const inherited = acceptedLiquidity > 0
+    ? accepted.reduce((total, candidate) => total + candidate.via.confidence * candidate.liquidity, 0) / acceptedLiquidity
+    : Math.min(...accepted.map(candidate => candidate.via.confidence));
+  const confidence = liquidityScore * agreement * inherited * (deep.length > 0 ? 1 : THIN_ONLY_PENALTY);
+
+  // The reported path follows the deepest accepted pool
+  const best = accepted.reduce((a, b) => (b.liquidity > a.liquidity ? b : a));
+
+  return {
+    address: asset.contractAddress,
+    symbol: asset.symbol,
+    usdPrice: usdPrice,
+    source: 'pools',
+    confidence: Math.round(confidence * 1000) / 1000,
+    depth: depth,
+    path: [...best.via.path, asset.symbol],
+    pools: [...best.via.pools, best.pair.poolAddress],
+    liquidity: acceptedLiquidity,
+    candidates: candidates.length,
+    rejected: candidates.length - accepted.length,
+    thinOnly: deep.length === 0
+  };
+}
+
+// Helper function to build the entry for an anchor
+function anchorPrice(asset, entry) {
+  return {
+    address: asset.contractAddress,
+    symbol: asset.symbol,
+    usdPrice: entry.usdPrice !== undefined ? entry.usdPrice : 1,
+    source: 'anchor',
+    confidence: 1,
+    depth: 0,
+    path: [asset.symbol],
+    pools: [],
+    liquidity: null,
+    candidates: 0,
+    rejected: 0,
+    thinOnly: false
+  };
+}
+
+// Helper function to build the entry for a token the graph could not price
+function fallbackPrice(asset) {
+  const upstreamUsdPrice = parseFloat(getAssetUsdPrice(asset));
+  return {
+    address: asset.contractAddress,
+    symbol: asset.symbol,
+    usdPrice: upstreamUsdPrice > 0 ? upstreamUsdPrice : null,
+    source: upstreamUsdPrice > 0 ? 'upstream' : 'none',
+    confidence: upstreamUsdPrice > 0 ? UPSTREAM_CONFIDENCE : 0,
+    depth: null,
+    path: [],
+    pools: [],
+    liquidity: null,
+    candidates: 0,
+    rejected: 0,
+    thinOnly: false
+  };
+}
+
+// Compute oracle prices for every asset of a snapshot: address -> price entry
+function computePrices(snapshot, settings = loadConfig()) {
+  const graph = getGraph(snapshot);
+  const assets = snapshot.assets.filter(asset => asset.contractAddress);
+  const assetMap = new Map(assets.map(asset => [asset.contractAddress, asset]));
+  const priced = new Map();
+
+  assets.forEach(asset => {
+    const entry = settings.anchors.find(anchor => matchesEntry(asset, anchor));
+    if (entry) priced.set(asset.contractAddress, anchorPrice(asset, entry));
+  });
+
+  // Hubs are priced from the anchors alone before anything else builds on them
+  const anchorsOnly = new Map(priced);
+  assets.forEach(asset => {
+    if (priced.has(asset.contractAddress)) return;
+    if (!settings.hubs.some(hub => matchesEntry(asset, hub))) return;
+
+    const price = aggregate(asset, collectCandidates(graph, asset.contractAddress, anchorsOnly), 1, settings);
+    if (price) priced.set(asset.contractAddress, price);
+  });
+
+  // Breadth-first rounds; each round only builds on prices from earlier rounds
+  let frontier = [...priced.keys()];
+  for (let depth = 1; depth <= settings.maxDepth && frontier.length > 0; depth++) {
+    const next = new Set();
+    frontier.forEach(address => {
+      (graph.edges.get(address) || []).forEach(pair => {
+        const other = pair.token0.address === address ? pair.token1.address : pair.token0.address;
+        if (!priced.has(other)) next.add(other);
+      });
+    });
+
+    const round = new Map();
+    next.forEach(address => {
+      const asset = assetMap.get(address);
+      if (!asset) return;
+      const price = aggregate(asset, collectCandidates(graph, address, priced), depth, settings);
+      if (price) round.set(address, price);
+    });
+
+    round.forEach((price, address) => priced.set(address, price));
+    frontier = [...round.keys()];
+  }
+
+  const prices = new Map();
+  assets.forEach(asset => {
+    const price = priced.get(asset.contractAddress) || fallbackPrice(asset);
+    const upstreamUsdPrice = parseFloat(getAssetUsdPrice(asset));
+    prices.set(asset.contractAddress, {
+      ...price,
+      upstreamUsdPrice: upstreamUsdPrice > 0 ? upstreamUsdPrice : null,
+      // Relative difference of the upstream price from the oracle's
+      upstreamDeviation: upstreamUsdPrice > 0 && price.usdPrice > 0 && price.source !== 'upstream'
+        ? (upstreamUsdPrice - price.usdPrice) / price.usdPrice
+        : null
+    });
+  });
+
+  return prices;
+}
+
+// Get the (cached) oracle prices for a snapshot
+function getOraclePrices(snapshot) {
+  recordCacheLookup('oracle_prices', priceCache.has(snapshot));
+  if (!priceCache.has(snapshot)) {
+    priceCache.set(snapshot, computePrices(snapshot));
+  }
+  return priceCache.get(snapshot);
+}
+
+module.exports = {
+  SOURCES,
+  loadConfig,
+  computePrices,
+  getOraclePrices
+};
@@ -0,0 +1,362 @@
+// lib/pairs.js - Shared pricing core used by the Express server and the Vercel handlers
+const { parseUnits, formatUnits, divideDecimals, reservePrice, normalizeDecimal } = require('./decimal');
+const { getTokenTags, pairMatchesCategories, parseCategories } = require('./categories');
+const { matchesPairQuery, comparePairs } = require('./query');
+const { getSearchIndex, searchPairs } = require('./search');
+const { toCanonicalAddress } = require('./address');
+const { logger } = require('./logger');
+
+// Quality flags a pair can carry:
+//   missing_usd    - at least one token has no upstream USD price
+//   reserve_price  - `price` comes from reserves rather than USD prices
+//   divergent      - USD- and reserve-implied prices differ by more than PRICE_DIVERGENCE_THRESHOLD
+//   dust_liquidity - reserves are empty or worth less than DUST_LIQUIDITY_USD
+const PAIR_FLAGS = ['missing_usd', 'reserve_price', 'divergent', 'dust_liquidity'];
+const PRICE_DIVERGENCE_THRESHOLD = parseFloat(process.env.PRICE_DIVERGENCE_THRESHOLD) || 0.05; // 5%
+const DUST_LIQUIDITY_USD = parseFloat(process.env.DUST_LIQUIDITY_USD) || 100;
+
+const pairsLogger = logger.child({ component: 'pairs' });
+
+// Helper function to format price
+function formatPrice(price) {
+  if (price === 0) return '0.00';
+  if (price < 0.000001) return price.toExponential(2);
+  if (price < 0.01) return price.toFixed(6);
+  if (price < 1) return price.toFixed(4);
+  if (price < 100) return price.toFixed(2);
+  return price.toFixed(0);
+}
+
+// Helper function to read an asset's upstream USD price as a decimal string.
+// The SDK reports it as dexPriceUsd; older responses and fixtures use dexUsdPrice.
+function getAssetUsdPrice(asset) {
+  return (asset && (asset.dexUsdPrice || asset.dexPriceUsd)) || '0';
+}
+
+// Helper function to estimate a pool's USD liquidity, null when nothing prices it.
+// Prefers the upstream figure; otherwise values both sides at a known token price.
+function estimateLiquidityUsd(pool, token0, token1, token0UsdPrice, token1UsdPrice) {
+  const upstream = parseFloat(pool.lpTotalSupplyUsd || '0');
+  if (upstream > 0) return upstream;
+  if (token0UsdPrice > 0) return 2 * Number(formatUnits(pool.reserve0, token0.decimals)) * token0UsdPrice;
+  if (token1UsdPrice > 0) return 2 * Number(formatUnits(pool.reserve1, token1.decimals)) * token1UsdPrice;
+  return null;
+}
+
+// Helper function to work out where a pair's price comes from and flag doubtful ones
+function assessQuality({ usdImpliedPrice, reserveImpliedPrice, hasReserves, liquidityUsd }) {
+  const flags = [];
+  const priceSource = usdImpliedPrice !== null ? 'usd' : reserveImpliedPrice !== null ? 'reserves' : 'none';
+
+  // Relative difference of the reserve-implied price from the USD-implied one
+  const priceDivergence = usdImpliedPrice > 0 && reserveImpliedPrice > 0
+    ? reserveImpliedPrice / usdImpliedPrice - 1
+    : null;
+
+  if (usdImpliedPrice === null) flags.push('missing_usd');
+  if (priceSource === 'reserves') flags.push('reserve_price');
+  if (priceDivergence !== null && Math.abs(priceDivergence) > PRICE_DIVERGENCE_THRESHOLD) flags.push('divergent');
+  if (!hasReserves || (liquidityUsd !== null && liquidityUsd < DUST_LIQUIDITY_USD)) flags.push('dust_liquidity');
+
+  return { priceSource, usdImpliedPrice, reserveImpliedPrice, priceDivergence, flags };
+}
+
+// Helper function to parse a comma-separated list of flags to exclude ("all" for every flag).
+// Returns { flags, invalid } so callers can reject unknown names.
+function parseExcludeFlags(value) {
+  const names = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(name => name.trim())
+    .filter(Boolean);
+  if (names.includes('all')) return { flags: [...PAIR_FLAGS], invalid: [] };
+  return {
+    flags: names.filter(name => PAIR_FLAGS.includes(name)),
+    invalid: names.filter(name => !PAIR_FLAGS.includes(name))
+  };
+}
+
+// Put an upstream asset's address in canonical form, so raw and
+// non-bounceable addresses from the API still match (see lib/address.js)
+function normalizeAsset(asset) {
+  if (!asset.contractAddress) return asset;
+  return { ...asset, contractAddress: toCanonicalAddress(asset.contractAddress) };
+}
+
+// Put an upstream pool's own and token addresses in canonical form
+function normalizePool(pool) {
+  return {
+    ...pool,
+    address: toCanonicalAddress(pool.address),
+    token0Address: toCanonicalAddress(pool.token0Address),
+    token1Address: toCanonicalAddress(pool.token1Address)
+  };
+}
+
+// Helper function to calculate trading pairs from pools and assets
+function calculateTradingPairs(assets, pools) {
+  // Create asset map for quick lookup using the canonical contractAddress
+  const assetMap = {};
+  assets.map(normalizeAsset).forEach(asset => {
+    if (asset.contractAddress) {
+      assetMap[asset.contractAddress] = asset;
+    }
+  });
+
+  const pairs = [];
+  const skipped = { missingAddresses: 0, missingTokens: 0 };
+
+  pools.map(normalizePool).forEach(pool => {
+    // Use the correct property names from the actual API response
+    const token0Address = pool.token0Address;
+    const token1Address = pool.token1Address;
+    const poolAddress = pool.address;
+    
+    if (token0Address && token1Address && poolAddress) {
+      const token0 = assetMap[token0Address];
+      const token1 = assetMap[token1Address];
+      
+      if (token0 && token1) {
+        // Use the correct property names for reserves (reserve0, reserve1)
+        const token0Reserve = parseFloat(pool.reserve0 || '0');
+        const token1Reserve = parseFloat(pool.reserve1 || '0');
+        
+        // Price of token0 in token1, both from USD prices and from reserves.
+        // USD prices are preferred for `price`; reserves are the fallback.
+        // The exact prices are computed on the raw strings and the floats derived
+        // from them, so large 18-decimal reserves don't lose digits.
+        const token0UsdPrice = parseFloat(getAssetUsdPrice(token0));
+        const token1UsdPrice = parseFloat(getAssetUsdPrice(token1));
+        const hasReserves = parseUnits(pool.reserve0) > 0n && parseUnits(pool.reserve1) > 0n;
+
+        const usdImpliedPrice = token0UsdPrice > 0 && token1UsdPrice > 0
+          ? divideDecimals(getAssetUsdPrice(token0), getAssetUsdPrice(token1))
+          : null;
+        const reserveImpliedPrice = hasReserves
+          ? reservePrice(pool.reserve0, pool.reserve1, token0.decimals, token1.decimals)
+          : null;
+        const exactPrice = usdImpliedPrice || reserveImpliedPrice || '0';
+        const price = Number(exactPrice);
+
+        const quality = assessQuality({
+          usdImpliedPrice: usdImpliedPrice === null ? null : Number(usdImpliedPrice),
+          reserveImpliedPrice: reserveImpliedPrice === null ? null : Number(reserveImpliedPrice),
+          hasReserves: hasReserves,
+          liquidityUsd: estimateLiquidityUsd(pool, token0, token1, token0UsdPrice, token1UsdPrice)
+        });
+
+        // The SDK camel-cases volume_24h_usd as volume24HUsd
+        const volume24hUsd = pool.volume24hUsd || pool.volume24HUsd || '0';
+
+        const pair = {
+          id: poolAddress,
+          name: `${token0.symbol}/${token1.symbol}`,
+          token0: {
+            symbol: token0.symbol,
+            name: token0.displayName || token0.symbol,
+            address: token0.contractAddress,
+            decimals: token0.decimals,
+            usdPrice: token0UsdPrice,
+            tags: getTokenTags(token0)
+          },
+          token1: {
+            symbol: token1.symbol,
+            name: token1.displayName || token1.symbol,
+            address: token1.contractAddress,
+            decimals: token1.decimals,
+            usdPrice: token1UsdPrice,
+            tags: getTokenTags(token1)
+          },
+          price: price,
+          formattedPrice: formatPrice(price),
+          priceSource: quality.priceSource,
+          usdImpliedPrice: quality.usdImpliedPrice,
+          reserveImpliedPrice: quality.reserveImpliedPrice,
+          priceDivergence: quality.priceDivergence,
+          flags: quality.flags,
+          liquidity: parseFloat(pool.lpTotalSupplyUsd || pool.lpTotalSupply || '0'),
+          volume24h: parseFloat(volume24hUsd),
+          apy: parseFloat(pool.apy1D || '0'),
+          poolAddress: poolAddress,
+          reserves: {
+            token0: token0Reserve,
+            token1: token1Reserve
+          },
+          popularityIndex: parseFloat(pool.popularityIndex || '0'),
+          // Swap fee in basis points (LP + protocol share), STON.fi v1 default is 30
+          feeBps: pool.lpFee !== undefined
+            ? parseFloat(pool.lpFee || '0') + parseFloat(pool.protocolFee || '0')
+            : 30,
+          // String-encoded exact values behind the float fields above
+          exact: {
+            price: exactPrice,
+            usdImpliedPrice: usdImpliedPrice,
+            reserveImpliedPrice: reserveImpliedPrice,
+            reserves: {
+              token0: parseUnits(pool.reserve0).toString(),
+              token1: parseUnits(pool.reserve1).toString()
+            },
+            reserveAmounts: {
+              token0: formatUnits(pool.reserve0, token0.decimals),
+              token1: formatUnits(pool.reserve1, token1.decimals)
+            },
+            lpTotalSupply: parseUnits(pool.lpTotalSupply).toString(),
+            liquidity: normalizeDecimal(pool.lpTotalSupplyUsd || pool.lpTotalSupply),
+            volume24h: normalizeDecimal(volume24hUsd),
+            token0UsdPrice: normalizeDecimal(getAssetUsdPrice(token0)),
+            token1UsdPrice: normalizeDecimal(getAssetUsdPrice(token1))
+          }
+        };
+
+        pairs.push(pair);
+      } else {
+        skipped.missingTokens++;
+      }
+    } else {
+      skipped.missingAddresses++;
+    }
+  });
+
+  pairsLogger.debug('Calculated trading pairs', {
+    assets: assets.length,
+    knownAssets: Object.keys(assetMap).length,
+    pools: pools.length,
+    pairs: pairs.length,
+    skipped
+  });
+
+  // Sort by liquidity (highest first), then by popularity
+  return pairs.sort((a, b) => {
+    if (b.liquidity !== a.liquidity) {
+      return b.liquidity - a.liquidity;
+    }
+    return b.popularityIndex - a.popularityIndex;
+  });
+}
+
+// Helper function to filter and sort pairs
+function filterAndSortPairs(pairs, filters) {
+  let filtered = [...pairs];
+
+  // Apply search filter (see lib/search.js); the rank backs sortBy=relevance
+  let relevance = null;
+  if (filters.search) {
+    relevance = new Map(searchPairs(getSearchIndex(pairs), filters.search).map((match, rank) => [match.pair, rank]));
+    filtered = filtered.filter(pair => relevance.has(pair));
+  }
+
+  // Apply liquidity filter
+  if (filters.minLiquidity > 0) {
+    filtered = filtered.filter(pair => pair.liquidity >= filters.minLiquidity);
+  }
+
+  // Drop pairs carrying any excluded quality flag
+  if (filters.excludeFlags && filters.excludeFlags.length > 0) {
+    filtered = filtered.filter(pair => !pair.flags.some(flag => filters.excludeFlags.includes(flag)));
+  }
+
+  // Apply category filter (rules live in config/categories.json)
+  const { categories } = parseCategories(filters.category);
+  if (categories.length > 0) {
+    filtered = filtered.filter(pair => pairMatchesCategories(pair, categories, filters.categoryMatch));
+  }
+
+  // Apply range and token address filters (see lib/query.js)
+  if ((filters.ranges && filters.ranges.length > 0) || (filters.tokens && Object.keys(filters.tokens).length > 0)) {
+    filtered = filtered.filter(pair => matchesPairQuery(pair, filters));
+  }
+
+  // Multi-key sort when given, otherwise the single sortBy/sortOrder
+  if (filters.sort && filters.sort.length > 0) {
+    return filtered.sort((a, b) => comparePairs(a, b, filters.sort));
+  }
+
+  // Apply sorting
+  filtered.sort((a, b) => {
+    let comparison = 0;
+    
+    switch (filters.sortBy) {
+      case 'liquidity':
+        comparison = b.liquidity - a.liquidity;
+        break;
+      case 'volume':
+        comparison = b.volume24h - a.volume24h;
+        break;
+      case 'apy':
+        comparison = b.apy - a.apy;
+        break;
+      case 'name':
+        comparison = a.name.localeCompare(b.name);
+        break;
+      case 'price':
+        comparison = b.price - a.price;
+        break;
+      case 'relevance':
+        comparison = relevance ? relevance.get(a) - relevance.get(b) : b.liquidity - a.liquidity;
+        break;
+      default:
+        comparison = b.liquidity - a.liquidity;
+    }
+
+    return filters.sortOrder === 'asc' ? -comparison : comparison;
+  });
+
+  return filtered;
+}
+
+// Helper function to paginate results
+function paginateResults(data, page, limit) {
+  const totalItems = data.length;
+  const totalPages = Math.ceil(totalItems / limit);
+  const startIndex = (page - 1) * limit;
+  const endIndex = startIndex + limit;
+  
+  const paginatedData = data.slice(startIndex, endIndex);
+
+  return {
+    data: paginatedData,
+    pagination: {
+      currentPage: page,
+      totalPages: totalPages,
+      totalItems: totalItems,
+      itemsPerPage: limit,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      startIndex: startIndex + 1,
+      endIndex: Math.min(endIndex, totalItems)
+    }
+  };
+}
+
+// Helper function to present a pair with exact string values in place of the floats
+// (used for ?precision=exact)
+function toExactPrecision(pair) {
+  const { exact, ...rest } = pair;
+  return {
+    ...rest,
+    token0: { ...pair.token0, usdPrice: exact.token0UsdPrice },
+    token1: { ...pair.token1, usdPrice: exact.token1UsdPrice },
+    price: exact.price,
+    usdImpliedPrice: exact.usdImpliedPrice,
+    reserveImpliedPrice: exact.reserveImpliedPrice,
+    liquidity: exact.liquidity,
+    volume24h: exact.volume24h,
+    reserves: exact.reserves,
+    reserveAmounts: exact.reserveAmounts,
+    lpTotalSupply: exact.lpTotalSupply,
+    precision: 'exact'
+  };
+}
+
+module.exports = {
+  PAIR_FLAGS,
+  PRICE_DIVERGENCE_THRESHOLD,
+  DUST_LIQUIDITY_USD,
+  formatPrice,
+  getAssetUsdPrice,
+  toExactPrecision,
+  normalizeAsset,
+  normalizePool,
+  calculateTradingPairs,
+  filterAndSortPairs,
+  parseExcludeFlags,
+  paginateResults
+};
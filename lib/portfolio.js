@@ -0,0 +1,175 @@
+// lib/portfolio.js - Valuation of token holdings and LP positions
+//
+// A portfolio is a list of holdings ({ tokenAddress, amount }) and LP positions
+// ({ poolAddress, lpAmount }), amounts in whole tokens. Each holding is valued
+// at the token's USD price (see lib/tokens.js) and converted to TON at TON's.
+// An LP position is first broken down into the share of each reserve its LP
+// tokens are redeemable for (lpAmount / lpTotalSupply), computed on raw units
+// so large reserves don't lose digits, and each side is valued like a holding.
+// Totals add up every priced value. Whatever can't be valued is listed in
+// `unpriced` with a reason rather than counted as zero:
+//   unknown_token - the token isn't in the current snapshot
+//   no_price      - the token has no pool-derived or upstream USD price
+//   unknown_pool  - the pool isn't in the current snapshot
+//   empty_pool    - the pool reports no LP supply to take a share of
+const { parseUnits, formatUnits, toRawUnits, ratioToString, normalizeDecimal } = require('./decimal');
+const { summarizeToken, getTonUsdPrice } = require('./tokens');
+const { normalizeAsset, normalizePool } = require('./pairs');
+
+const UNPRICED_REASONS = ['unknown_token', 'no_price', 'unknown_pool', 'empty_pool'];
+const MAX_PORTFOLIO_LINES = parseInt(process.env.MAX_PORTFOLIO_LINES) || 200; // Per list
+
+// STON.fi LP tokens are jettons with 9 decimals
+const LP_DECIMALS = 9;
+
+// Helper function to value an amount of a token: a line with prices and values
+// (null when unpriced, with the reason)
+function valueToken(snapshot, tokenAddress, amount, tonUsdPrice) {
+  const token = summarizeToken(snapshot, tokenAddress, { includePools: false });
+  const line = {
+    tokenAddress,
+    symbol: token ? token.symbol : null,
+    amount,
+    priceUsd: null,
+    priceTon: null,
+    priceSource: token ? token.priceSource : null,
+    valueUsd: null,
+    valueTon: null,
+    priced: false
+  };
+
+  if (!token) return { ...line, reason: 'unknown_token' };
+  if (!(token.priceUsd > 0)) return { ...line, reason: 'no_price' };
+
+  const valueUsd = Number(amount) * token.priceUsd;
+  return {
+    ...line,
+    priceUsd: token.priceUsd,
+    priceTon: token.priceTon,
+    valueUsd,
+    valueTon: tonUsdPrice > 0 ? valueUsd / tonUsdPrice : null,
+    priced: true
+  };
+}
+
+// Helper function to break an LP position down into its underlying tokens and value them
+function valuePosition(snapshot, poolAddress, lpAmount, tonUsdPrice) {
+  const pair = snapshot.pairIndex.get(poolAddress);
+  const line = {
+    poolAddress,
+    name: pair ? pair.name : null,
+    lpAmount,
+    share: null,
+    underlying: [],
+    valueUsd: null,
+    valueTon: null,
+    priced: false
+  };
+
+  if (!pair) return { ...line, reason: 'unknown_pool' };
+
+  const lpUnits = toRawUnits(lpAmount, LP_DECIMALS);
+  const lpTotalSupply = parseUnits(pair.exact.lpTotalSupply);
+  if (lpTotalSupply === 0n) return { ...line, reason: 'empty_pool' };
+
+  const underlying = ['token0', 'token1'].map(side => {
+    const units = lpUnits * parseUnits(pair.exact.reserves[side]) / lpTotalSupply;
+    const amount = formatUnits(units, pair[side].decimals);
+    return valueToken(snapshot, pair[side].address, amount, tonUsdPrice);
+  });
+
+  // A position with one side unpriced still reports the value of the other
+  const pricedSides = underlying.filter(side => side.priced);
+  const valueUsd = pricedSides.length > 0 ? pricedSides.reduce((total, side) => total + side.valueUsd, 0) : null;
+
+  return {
+    ...line,
+    share: Number(ratioToString(lpUnits, lpTotalSupply)),
+    underlying,
+    valueUsd,
+    valueTon: valueUsd !== null && tonUsdPrice > 0 ? valueUsd / tonUsdPrice : null,
+    priced: pricedSides.length === underlying.length
+  };
+}
+
+// Helper function to add up the values of priced lines
+function sumValues(lines) {
+  return lines.reduce((total, line) => total + (line.valueUsd || 0), 0);
+}
+
+// Value a portfolio against a snapshot: { holdings, positions, totals, unpriced }
+function valuePortfolio(snapshot, { holdings = [], positions = [] }) {
+  const tonUsdPrice = getTonUsdPrice(snapshot);
+
+  const holdingLines = holdings.map(holding =>
+    valueToken(snapshot, holding.tokenAddress, normalizeDecimal(holding.amount), tonUsdPrice));
+  const positionLines = positions.map(position =>
+    valuePosition(snapshot, position.poolAddress, normalizeDecimal(position.lpAmount), tonUsdPrice));
+
+  const unpriced = [];
+  holdingLines.forEach((line, index) => {
+    if (!line.priced) {
+      unpriced.push({ location: 'holdings', index, tokenAddress: line.tokenAddress, amount: line.amount, reason: line.reason });
+    }
+  });
+  positionLines.forEach((line, index) => {
+    if (line.reason) {
+      unpriced.push({ location: 'positions', index, poolAddress: line.poolAddress, amount: line.lpAmount, reason: line.reason });
+    }
+    line.underlying.filter(side => !side.priced).forEach(side => {
+      unpriced.push({
+        location: 'positions',
+        index,
+        poolAddress: line.poolAddress,
+        tokenAddress: side.tokenAddress,
+        amount: side.amount,
+        reason: side.reason
+      });
+    });
+  });
+
+  const holdingsUsd = sumValues(holdingLines);
+  const positionsUsd = sumValues(positionLines);
+  const totalUsd = holdingsUsd + positionsUsd;
+
+  return {
+    holdings: holdingLines,
+    positions: positionLines,
+    totals: {
+      valueUsd: totalUsd,
+      valueTon: tonUsdPrice > 0 ? totalUsd / tonUsdPrice : null,
+      holdingsUsd,
+      positionsUsd,
+      tonUsdPrice: tonUsdPrice > 0 ? tonUsdPrice : null,
+      // False when some line is missing from the totals (see unpriced)
+      complete: unpriced.length === 0
+    },
+    unpriced
+  };
+}
+
+// Turn STON.fi's wallet asset and pool lists into a portfolio. Raw balances
+// become whole tokens; empty balances are left out, and so are LP tokens listed
+// among the assets, since the pool list already holds them as positions.
+function walletToPortfolio(snapshot, assets, pools) {
+  const holdings = (assets || [])
+    .map(normalizeAsset)
+    .filter(asset => asset.contractAddress && !snapshot.pairIndex.has(asset.contractAddress))
+    .filter(asset => parseUnits(asset.balance) > 0n)
+    .map(asset => ({ tokenAddress: asset.contractAddress, amount: formatUnits(asset.balance, asset.decimals) }));
+
+  const positions = (pools || [])
+    .map(normalizePool)
+    .filter(pool => pool.address && parseUnits(pool.lpBalance) > 0n)
+    .map(pool => ({ poolAddress: pool.address, lpAmount: formatUnits(pool.lpBalance, LP_DECIMALS) }));
+
+  return { holdings, positions };
+}
+
+module.exports = {
+  UNPRICED_REASONS,
+  MAX_PORTFOLIO_LINES,
+  LP_DECIMALS,
+  valuePortfolio,
+  walletToPortfolio
+};
@@ -0,0 +1,178 @@
+// lib/query.js - Filter, sort and projection query language for /api/pairs
+//
+//   min<Field>=n / max<Field>=n  range filter on a numeric field, e.g. minVolume24h=1000
+//   token=addr[,addr]            pairs with one of the addresses on either side
+//   token0=... / token1=...      pairs with one of the addresses on that side
+//   sort=-volume24h,name         sort keys in priority order, "-" for descending
+//   fields=name,price,token0.symbol  keep only these (dot paths reach into objects)
+// Reserves are filtered and sorted as token amounts (decimals applied), not raw units.
+// Token addresses may be given in any form; they are compared in canonical form.
+const { toCanonicalAddress } = require('./address');
+
+// Numeric fields that can be range-filtered and sorted on
+const NUMERIC_FIELDS = {
+  liquidity: pair => pair.liquidity,
+  volume24h: pair => pair.volume24h,
+  apy: pair => pair.apy,
+  price: pair => pair.price,
+  popularityIndex: pair => pair.popularityIndex,
+  feeBps: pair => pair.feeBps,
+  reserve0: pair => Number(pair.exact.reserveAmounts.token0),
+  reserve1: pair => Number(pair.exact.reserveAmounts.token1)
+};
+
+const TEXT_FIELDS = {
+  name: pair => pair.name
+};
+
+const SORT_FIELDS = [...Object.keys(NUMERIC_FIELDS), ...Object.keys(TEXT_FIELDS)];
+
+// Top-level fields a pair can be projected to (float and exact precision)
+const PROJECTABLE_FIELDS = [
+  'id', 'name', 'token0', 'token1', 'price', 'formattedPrice', 'priceSource',
+  'usdImpliedPrice', 'reserveImpliedPrice', 'priceDivergence', 'flags',
+  'liquidity', 'volume24h', 'apy', 'poolAddress', 'reserves', 'reserveAmounts',
+  'lpTotalSupply', 'popularityIndex', 'feeBps', 'exact', 'precision'
+];
+
+const TOKEN_FILTERS = ['token', 'token0', 'token1'];
+
+// Helper function to turn a field name into its min/max parameter suffix
+function capitalize(field) {
+  return field.charAt(0).toUpperCase() + field.slice(1);
+}
+
+// Helper function to split a comma-separated parameter (or an already split list) into trimmed values
+function splitList(value) {
+  return (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+// Parse the query string into { ranges, tokens, sort, fields, errors }, where
+// errors are { field, message } for the offending parameter
+function parsePairQuery(query) {
+  const errors = [];
+  const ranges = [];
+
+  Object.keys(NUMERIC_FIELDS).forEach(field => {
+    const bounds = {};
+    ['min', 'max'].forEach(bound => {
+      const param = `${bound}${capitalize(field)}`;
+      if (query[param] === undefined || query[param] === '') return;
+
+      const value = Number(query[param]);
+      if (!Number.isFinite(value)) {
+        errors.push({ field: param, message: 'must be a number' });
+      } else {
+        bounds[bound] = value;
+      }
+    });
+
+    if (bounds.min !== undefined && bounds.max !== undefined && bounds.min > bounds.max) {
+      errors.push({ field: `min${capitalize(field)}`, message: `must not be greater than max${capitalize(field)}` });
+    } else if (bounds.min !== undefined || bounds.max !== undefined) {
+      ranges.push({ field, ...bounds });
+    }
+  });
+
+  const tokens = {};
+  TOKEN_FILTERS.forEach(param => {
+    const addresses = splitList(query[param]).map(toCanonicalAddress);
+    if (addresses.length > 0) tokens[param] = addresses;
+  });
+
+  let sort = null;
+  if (query.sort !== undefined) {
+    sort = splitList(query.sort).map(key => ({
+      field: key.replace(/^[-+]/, ''),
+      direction: key.startsWith('-') ? 'desc' : 'asc'
+    }));
+    if (sort.length === 0) errors.push({ field: 'sort', message: 'must list at least one field' });
+    sort.forEach(key => {
+      if (!SORT_FIELDS.includes(key.field)) {
+        errors.push({ field: 'sort', message: `${key.field} is not one of: ${SORT_FIELDS.join(', ')}` });
+      }
+    });
+  }
+
+  let fields = null;
+  if (query.fields !== undefined) {
+    fields = splitList(query.fields);
+    if (fields.length === 0) errors.push({ field: 'fields', message: 'must list at least one field' });
+    fields.forEach(field => {
+      if (!PROJECTABLE_FIELDS.includes(field.split('.')[0])) {
+        errors.push({ field: 'fields', message: `${field} is not one of: ${PROJECTABLE_FIELDS.join(', ')}` });
+      }
+    });
+  }
+
+  return { ranges, tokens, sort, fields, errors };
+}
+
+// Check a pair against range and token filters
+function matchesPairQuery(pair, { ranges = [], tokens = {} }) {
+  const inRange = ranges.every(range => {
+    const value = NUMERIC_FIELDS[range.field](pair);
+    return (range.min === undefined || value >= range.min) &&
+      (range.max === undefined || value <= range.max);
+  });
+  if (!inRange) return false;
+
+  if (tokens.token && !tokens.token.includes(pair.token0.address) && !tokens.token.includes(pair.token1.address)) {
+    return false;
+  }
+  if (tokens.token0 && !tokens.token0.includes(pair.token0.address)) return false;
+  if (tokens.token1 && !tokens.token1.includes(pair.token1.address)) return false;
+  return true;
+}
+
+// Compare two pairs by a list of sort keys
+function comparePairs(a, b, sort) {
+  for (const key of sort) {
+    const comparison = TEXT_FIELDS[key.field]
+      ? TEXT_FIELDS[key.field](a).localeCompare(TEXT_FIELDS[key.field](b))
+      : NUMERIC_FIELDS[key.field](a) - NUMERIC_FIELDS[key.field](b);
+    if (comparison !== 0) return key.direction === 'desc' ? -comparison : comparison;
+  }
+  return 0;
+}
+
+// Value of a sortable field of a pair
+function getSortValue(pair, field) {
+  return TEXT_FIELDS[field] ? TEXT_FIELDS[field](pair) : NUMERIC_FIELDS[field](pair);
+}
+
+// Keep only the given (dot path) fields of an object
+function projectFields(item, fields) {
+  const projected = {};
+
+  fields.forEach(field => {
+    const parts = field.split('.');
+    let source = item;
+    for (const part of parts) {
+      if (source === null || typeof source !== 'object' || !(part in source)) return;
+      source = source[part];
+    }
+
+    let target = projected;
+    parts.slice(0, -1).forEach(part => {
+      if (typeof target[part] !== 'object' || target[part] === null) target[part] = {};
+      target = target[part];
+    });
+    target[parts[parts.length - 1]] = source;
+  });
+
+  return projected;
+}
+
+module.exports = {
+  NUMERIC_FIELDS,
+  SORT_FIELDS,
+  PROJECTABLE_FIELDS,
+  parsePairQuery,
+  matchesPairQuery,
+  comparePairs,
+  getSortValue,
+  projectFields
+};
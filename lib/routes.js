@@ -0,0 +1,53 @@
+// lib/routes.js - Route table shared by the Express server and the Vercel functions
+const handlers = require('./handlers');
+const { priceStream } = require('./context');
+const { handleGraphQL } = require('./graphql');
+const schemas = require('./schemas');
+
+// Every public API route; server.js registers these and each one has a
+// matching thin adapter under api/ for the Vercel deployment, except the
+// serverOnly ones that need a long-lived process (connections, background
+// evaluation, persistent local files or counters accumulated since startup).
+// `access` is open, limited (default) or admin and `cost` is what a request
+// uses of the caller's rate limit and quota (default 1; see lib/access.js).
+// Routes that call STON.fi on every request cost more. `schema` declares the
+// params, query and body a route accepts (see lib/schemas.js); requests are
+// checked against it before the handler runs and it generates the OpenAPI
+// document, so a route without a schema takes no parameters.
+const routes = [
+  { method: 'GET', path: '/api/pairs', handler: handlers.getPairs, description: 'Get all trading pairs', schema: schemas.listPairs },
+  { method: 'GET', path: '/api/pairs/:poolAddress', handler: handlers.getPair, description: 'Get specific pair', schema: schemas.getPair },
+  { method: 'GET', path: '/api/pairs/search/:query', handler: handlers.searchPairs, description: 'Search pairs', schema: schemas.searchPairs },
+  { method: 'GET', path: '/api/pairs/:poolAddress/candles', handler: handlers.getCandles, description: 'OHLCV candles for a pool', schema: schemas.getCandles },
+  { method: 'GET', path: '/api/pairs/:poolAddress/impermanent-loss', handler: handlers.getImpermanentLoss, description: 'Impermanent loss and LP returns for a pool', schema: schemas.getImpermanentLoss },
+  { method: 'GET', path: '/api/pairs/:poolAddress/depth', handler: handlers.getDepth, description: 'Price-impact ladder for a pool', cost: req => (req.query.crossCheck === 'true' || req.query.crossCheck === '1') ? 10 : 1, schema: schemas.getDepth },
+  { method: 'GET', path: '/api/search/suggest', handler: handlers.suggest, description: 'Autocomplete tokens and pairs', schema: schemas.suggest },
+  { method: 'POST', path: '/api/simulate-swap', handler: handlers.simulateSwap, description: 'Simulate swap', cost: 10, schema: schemas.simulateSwap },
+  { method: 'GET', path: '/api/route', handler: handlers.findRoute, description: 'Best multi-hop swap routes', schema: schemas.findRoute },
+  { method: 'GET', path: '/api/tokens', handler: handlers.getTokens, description: 'Get all tokens', schema: schemas.listTokens },
+  { method: 'GET', path: '/api/tokens/:address', handler: handlers.getToken, description: 'Get token with its pools', schema: schemas.getToken },
+  { method: 'GET', path: '/api/tokens/:address/pairs/:otherAddress', handler: handlers.getTokenPair, description: 'Pools for a token pair', cost: 2, schema: schemas.getTokenPair },
+  { method: 'POST', path: '/api/portfolio', handler: handlers.getPortfolio, description: 'Value holdings and LP positions', schema: schemas.getPortfolio },
+  { method: 'GET', path: '/api/wallets/:address', handler: handlers.getWallet, description: 'Value a wallet\'s holdings and LP positions', cost: 2, schema: schemas.getWallet },
+  { method: 'GET', path: '/api/categories', handler: handlers.getCategories, description: 'Pair categories and token tags', schema: schemas.getCategories },
+  { method: 'GET', path: '/api/oracle/prices', handler: handlers.getOracleList, description: 'Oracle USD prices from the pool graph', schema: schemas.listOraclePrices },
+  { method: 'GET', path: '/api/oracle/prices/:address', handler: handlers.getOraclePrice, description: 'Oracle USD price for a token', schema: schemas.getOraclePrice },
+  { method: 'GET', path: '/api/assets', handler: handlers.getAssets, description: 'Get all assets', schema: schemas.listAssets },
+  { method: 'GET', path: '/api/pools', handler: handlers.getPools, description: 'Get all pools', schema: schemas.listPools },
+  { method: 'GET', path: '/api/stream', handler: priceStream.subscribe, description: 'Stream price deltas (SSE)', serverOnly: true, schema: schemas.stream },
+  { method: 'GET', path: '/api/alerts', handler: handlers.listAlerts, description: 'List alert rules', serverOnly: true, schema: schemas.listAlerts },
+  { method: 'POST', path: '/api/alerts', handler: handlers.createAlert, description: 'Create alert rule', serverOnly: true, schema: schemas.createAlert },
+  { method: 'GET', path: '/api/alerts/:id', handler: handlers.getAlert, description: 'Get alert rule', serverOnly: true, schema: schemas.getAlert },
+  { method: 'PUT', path: '/api/alerts/:id', handler: handlers.updateAlert, description: 'Update alert rule', serverOnly: true, schema: schemas.updateAlert },
+  { method: 'DELETE', path: '/api/alerts/:id', handler: handlers.deleteAlert, description: 'Delete alert rule', serverOnly: true, schema: schemas.deleteAlert },
+  { method: 'GET', path: '/graphql', handler: handleGraphQL, description: 'GraphQL over pairs, tokens and pools', schema: schemas.graphqlQuery, validate: false },
+  { method: 'POST', path: '/graphql', handler: handleGraphQL, description: 'GraphQL over pairs, tokens and pools', schema: schemas.graphqlBody, validate: false },
+  { method: 'GET', path: '/api/health', handler: handlers.getHealth, description: 'Health check', access: 'open' },
+  { method: 'GET', path: '/api/health/live', handler: handlers.getLiveness, description: 'Liveness probe', access: 'open' },
+  { method: 'GET', path: '/api/health/ready', handler: handlers.getReadiness, description: 'Readiness probe (upstream and snapshot status)', access: 'open' },
+  { method: 'GET', path: '/api/openapi.json', handler: handlers.getOpenApi, description: 'OpenAPI 3 document for this API', access: 'open' },
+  { method: 'GET', path: '/metrics', handler: handlers.getMetrics, description: 'Prometheus metrics', serverOnly: true, access: 'open' },
+  { method: 'GET', path: '/api/admin/usage', handler: handlers.getUsage, description: 'API usage per key (admin key)', serverOnly: true, access: 'admin' }
+];
+
+module.exports = { routes };
@@ -0,0 +1,143 @@
+// lib/routing.js - Multi-hop route finder over the pool graph
+//
+// Tokens are nodes and pools are edges. Candidate paths of up to maxHops pools
+// are enumerated depth-first and each one is quoted hop by hop with
+// constant-product math (lib/amm.js), fees included. To keep hub tokens such
+// as TON or USDT from blowing up the search, only the most liquid pools of an
+// intermediate token are expanded; pools that reach the destination directly
+// are always considered.
+const { quoteSwap } = require('./amm');
+const { recordCacheLookup } = require('./metrics');
+
+const DEFAULT_MAX_HOPS = 3;
+const MAX_HOPS_LIMIT = 4;
+const DEFAULT_MAX_ROUTES = 5;
+const MAX_ROUTES_LIMIT = 20;
+const EXPANSION_LIMIT = 12; // Pools expanded per intermediate token
+
+// Graphs are derived data, so build them once per snapshot
+const graphCache = new WeakMap();
+
+// Helper function to key a token pair regardless of order
+function pairKey(addressA, addressB) {
+  return addressA < addressB ? `${addressA}|${addressB}` : `${addressB}|${addressA}`;
+}
+
+// Build the token graph for a list of pairs
+function buildGraph(pairs) {
+  const edges = new Map(); // token address -> pairs it trades in, most liquid first
+  const direct = new Map(); // pairKey -> pairs trading exactly that pair
+  const tokens = new Map(); // token address -> token info
+
+  pairs.forEach(pair => {
+    // Empty pools can't route anything
+    if (!(pair.reserves.token0 > 0 && pair.reserves.token1 > 0)) return;
+
+    [pair.token0, pair.token1].forEach(token => {
+      tokens.set(token.address, token);
+      if (!edges.has(token.address)) edges.set(token.address, []);
+      edges.get(token.address).push(pair);
+    });
+
+    const key = pairKey(pair.token0.address, pair.token1.address);
+    if (!direct.has(key)) direct.set(key, []);
+    direct.get(key).push(pair);
+  });
+
+  edges.forEach(list => list.sort((a, b) => b.liquidity - a.liquidity));
+
+  return { edges, direct, tokens };
+}
+
+// Get the (cached) graph for a snapshot
+function getGraph(snapshot) {
+  recordCacheLookup('route_graph', graphCache.has(snapshot));
+  if (!graphCache.has(snapshot)) {
+    graphCache.set(snapshot, buildGraph(snapshot.pairs));
+  }
+  return graphCache.get(snapshot);
+}
+
+// Helper function to quote a path of pairs, returning null if any hop fails
+function quotePath(path, fromAddress, amountIn) {
+  const hops = [];
+  let tokenIn = fromAddress;
+  let amount = amountIn;
+
+  for (const pair of path) {
+    const hop = quoteSwap(pair, tokenIn, amount);
+    if (!hop || hop.amountOutUnits <= 0) return null;
+    hops.push(hop);
+    tokenIn = hop.tokenOut.address;
+    // Chain exact amounts when available so rounding never compounds across hops
+    amount = hop.exact ? BigInt(hop.exact.amountOutUnits) : hop.amountOutUnits;
+  }
+
+  const first = hops[0];
+  const last = hops[hops.length - 1];
+  const executionPrice = first.amountIn > 0 ? last.amountOut / first.amountIn : 0;
+  // Impacts compound multiplicatively along the path
+  const priceImpact = 1 - hops.reduce((remaining, hop) => remaining * (1 - hop.priceImpact), 1);
+
+  return {
+    path: [first.tokenIn.symbol, ...hops.map(hop => hop.tokenOut.symbol)],
+    pools: hops.map(hop => hop.poolAddress),
+    hops: hops,
+    amountIn: first.amountIn,
+    amountOut: last.amountOut,
+    amountInUnits: first.amountInUnits,
+    amountOutUnits: last.amountOutUnits,
+    executionPrice: executionPrice,
+    priceImpact: priceImpact,
+    totalFeeBps: hops.reduce((total, hop) => total + hop.feeBps, 0),
+    exact: last.exact ? {
+      amountInUnits: first.exact.amountInUnits,
+      amountOutUnits: last.exact.amountOutUnits
+    } : null
+  };
+}
+
+// Find the best routes from one token to another for a raw input amount
+function findRoutes(graph, fromAddress, toAddress, amountIn, {
+  maxHops = DEFAULT_MAX_HOPS,
+  maxRoutes = DEFAULT_MAX_ROUTES
+} = {}) {
+  const paths = [];
+  const visited = new Set([fromAddress]);
+
+  function explore(tokenAddress, path) {
+    // Pools that finish the route from here
+    (graph.direct.get(pairKey(tokenAddress, toAddress)) || []).forEach(pair => {
+      paths.push([...path, pair]);
+    });
+
+    if (path.length + 1 >= maxHops) return;
+
+    (graph.edges.get(tokenAddress) || []).slice(0, EXPANSION_LIMIT).forEach(pair => {
+      const next = pair.token0.address === tokenAddress ? pair.token1.address : pair.token0.address;
+      if (next === toAddress || visited.has(next)) return;
+
+      visited.add(next);
+      explore(next, [...path, pair]);
+      visited.delete(next);
+    });
+  }
+
+  explore(fromAddress, []);
+
+  return paths
+    .map(path => quotePath(path, fromAddress, amountIn))
+    .filter(Boolean)
+    .sort((a, b) => b.amountOutUnits - a.amountOutUnits)
+    .slice(0, maxRoutes);
+}
+
+module.exports = {
+  DEFAULT_MAX_HOPS,
+  MAX_HOPS_LIMIT,
+  DEFAULT_MAX_ROUTES,
+  MAX_ROUTES_LIMIT,
+  buildGraph,
+  getGraph,
+  findRoutes
+};
@@ -0,0 +1,873 @@
+// lib/schemas.js - Request and response schemas for every route
+//
+// Each entry is attached to its route in lib/routes.js. `params` and `query`
+// map a parameter to its schema and `body` is the JSON body's schema; these
+// are enforced by lib/validation.js. `response` (the success body, sent with
+// `status`, default 200), `errors` (other statuses the handler answers with,
+// beyond the ones every route shares) and `components` only document the API
+// in the OpenAPI document (lib/openapi.js). Limits and allowed values come
+// from the modules that use them, so a new sort field or interval shows up
+// here without a second edit.
+const { PAIR_FLAGS } = require('./pairs');
+const { SORT_FIELDS, NUMERIC_FIELDS, PROJECTABLE_FIELDS } = require('./query');
+const { FORMATS } = require('./export');
+const { loadRegistry, CATEGORY_MATCHES } = require('./categories');
+const { INTERVALS } = require('./history');
+const { DEFAULT_SIZES, MAX_SIZES, DEFAULT_SLIPPAGE } = require('./depth');
+const { DEFAULT_MAX_HOPS, MAX_HOPS_LIMIT, DEFAULT_MAX_ROUTES, MAX_ROUTES_LIMIT } = require('./routing');
+const { SOURCES } = require('./oracle');
+const { RULE_TYPES, DIRECTIONS } = require('./alerts');
+const { MAX_POOLS_PER_SUBSCRIPTION } = require('./stream');
+const { UNPRICED_REASONS, MAX_PORTFOLIO_LINES } = require('./portfolio');
+const { DEFAULT_PERIOD_DAYS, MAX_PERIOD_DAYS } = require('./lpReturns');
+
+const PRECISIONS = ['float', 'exact'];
+const SORT_ORDERS = ['asc', 'desc'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const MAX_SEARCH_RESULTS = 500;
+const MAX_SUGGESTIONS = 20;
+const MAX_SEARCH_LENGTH = 200;
+
+// Helper function to reference a schema under components
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+// Helper function to describe a successful JSON response
+function envelope(properties) {
+  return {
+    type: 'object',
+    required: ['success'],
+    properties: { success: { type: 'boolean', enum: [true] }, ...properties }
+  };
+}
+
+// Helper function to capitalize a field name for its min/max parameter
+function capitalize(field) {
+  return field.charAt(0).toUpperCase() + field.slice(1);
+}
+
+// Shared parameters
+
+// Any address form is accepted and normalized to the canonical one (see lib/address.js)
+const tonAddress = { type: 'string', format: 'ton-address' };
+
+const address = description => ({ ...tonAddress, description });
+
+const page = { type: 'integer', minimum: 1, default: 1, description: 'Page number (1-based)' };
+
+const limit = {
+  type: 'integer',
+  minimum: 1,
+  maximum: MAX_PAGE_SIZE,
+  default: DEFAULT_PAGE_SIZE,
+  description: 'Items per page'
+};
+
+const sortOrder = { type: 'string', enum: SORT_ORDERS, default: 'desc' };
+
+const precision = {
+  type: 'string',
+  enum: PRECISIONS,
+  default: 'float',
+  description: 'exact adds decimal strings computed without floating-point rounding'
+};
+
+const format = {
+  type: 'string',
+  enum: FORMATS,
+  description: 'Output format; defaults to the Accept header, then json. csv and ndjson return every matching row'
+};
+
+const columns = {
+  type: 'array',
+  items: { type: 'string', minLength: 1 },
+  description: 'CSV/NDJSON columns to keep, in order (flattened names such as token0.symbol)'
+};
+
+const category = {
+  type: 'array',
+  items: { type: 'string', enum: ['all', ...Object.keys(loadRegistry().categories)] },
+  description: 'Categories to filter by (see /api/categories)'
+};
+
+const categoryMatch = {
+  type: 'string',
+  enum: CATEGORY_MATCHES,
+  default: 'any',
+  description: 'any: a pair matches at least one category, all: every one'
+};
+
+// No default: /api/pairs treats a given minLiquidity as a range filter too (see lib/query.js)
+const minLiquidity = { type: 'number', minimum: 0, description: 'Minimum liquidity in USD' };
+
+const excludeFlags = {
+  type: 'array',
+  items: { type: 'string', enum: ['all', ...PAIR_FLAGS] },
+  description: 'Leave out pairs carrying any of these quality flags'
+};
+
+// min<Field>/max<Field> range filters for every numeric pair field
+const rangeFilters = {};
+Object.keys(NUMERIC_FIELDS).forEach(field => {
+  ['min', 'max'].forEach(bound => {
+    rangeFilters[`${bound}${capitalize(field)}`] = {
+      type: 'number',
+      description: `${bound === 'min' ? 'Minimum' : 'Maximum'} ${field}`
+    };
+  });
+});
+
+const tokenFilter = description => ({ type: 'array', items: tonAddress, description });
+
+// Request schemas, by route
+
+const listPairs = {
+  query: {
+    page,
+    limit,
+    search: { type: 'string', maxLength: MAX_SEARCH_LENGTH, description: 'Match token symbols, names and addresses' },
+    sortBy: {
+      type: 'string',
+      enum: ['liquidity', 'volume', 'apy', 'name', 'price', 'relevance'],
+      default: 'liquidity'
+    },
+    sortOrder,
+    ...rangeFilters,
+    minLiquidity,
+    category,
+    categoryMatch,
+    excludeFlags,
+    token: tokenFilter('Pairs with one of these token addresses on either side'),
+    token0: tokenFilter('Pairs with one of these token addresses as token0'),
+    token1: tokenFilter('Pairs with one of these token addresses as token1'),
+    sort: {
+      type: 'array',
+      items: {
+        type: 'string',
+        pattern: `^[-+]?(${SORT_FIELDS.join('|')})$`,
+        patternMessage: `must list fields from: ${SORT_FIELDS.join(', ')} ("-" prefix for descending)`
+      },
+      description: 'Sort keys in priority order, "-" prefix for descending; overrides sortBy'
+    },
+    fields: {
+      type: 'array',
+      items: {
+        type: 'string',
+        pattern: `^(${PROJECTABLE_FIELDS.join('|')})(\\.[\\w.]+)?$`,
+        patternMessage: `must list fields from: ${PROJECTABLE_FIELDS.join(', ')} (dot paths reach into objects)`
+      },
+      description: 'Keep only these fields of each pair'
+    },
+    precision,
+    pagination: {
+      type: 'string',
+      enum: ['page', 'cursor'],
+      description: 'cursor starts a walk pinned to one snapshot'
+    },
+    cursor: { type: 'string', minLength: 1, description: 'nextCursor from the previous page' },
+    format,
+    columns
+  },
+  response: envelope({
+    data: { type: 'array', items: ref('Pair') },
+    pagination: ref('Pagination'),
+    filters: { type: 'object' },
+    precision: { type: 'string', enum: PRECISIONS },
+    totalPairs: { type: 'integer' },
+    lastUpdated: { type: 'integer', description: 'Epoch milliseconds' },
+    priceDataFresh: { type: 'boolean' },
+    snapshot: ref('Snapshot')
+  }),
+  errors: { 410: 'The snapshot a cursor was issued on is no longer retained' },
+  exportable: true
+};
+
+const getPair = {
+  params: { poolAddress: address('Pool address') },
+  query: { precision },
+  response: envelope({
+    data: ref('Pair'),
+    addressForms: ref('AddressForms'),
+    lastUpdated: { type: 'integer' },
+    snapshot: ref('Snapshot')
+  }),
+  errors: { 404: 'Pool not found' }
+};
+
+const searchPairs = {
+  params: { query: { type: 'string', minLength: 1, maxLength: MAX_SEARCH_LENGTH, description: 'Search text' } },
+  query: {
+    precision,
+    limit: { ...limit, maximum: MAX_SEARCH_RESULTS, description: 'Maximum results' }
+  },
+  response: envelope({
+    data: { type: 'array', items: ref('Pair') },
+    query: { type: 'string' },
+    totalResults: { type: 'integer' },
+    snapshot: ref('Snapshot')
+  })
+};
+
+const getCandles = {
+  params: { poolAddress: address('Pool address') },
+  query: {
+    interval: { type: 'string', enum: Object.keys(INTERVALS), default: '1h' },
+    from: { type: 'string', description: 'Start as epoch seconds, epoch milliseconds or an ISO date (default: 200 candles back)' },
+    to: { type: 'string', description: 'End as epoch seconds, epoch milliseconds or an ISO date (default: now)' }
+  },
+  response: envelope({
+    data: { type: 'array', items: ref('Candle') },
+    poolAddress: { type: 'string' },
+    name: { type: 'string', nullable: true },
+    interval: { type: 'string' },
+    from: { type: 'integer' },
+    to: { type: 'integer' },
+    change: { type: 'object', nullable: true },
+    retentionDays: { type: 'number' },
+    snapshot: ref('Snapshot')
+  }),
+  errors: { 404: 'Pool not found (and no price history)' }
+};
+
+const getImpermanentLoss = {
+  params: { poolAddress: address('Pool address') },
+  query: {
+    deposit: {
+      type: 'number',
+      required: true,
+      minimum: 0,
+      exclusiveMinimum: true,
+      description: 'Deposit value in USD, split evenly between the two tokens'
+    },
+    priceChange: {
+      type: 'number',
+      minimum: -100,
+      exclusiveMinimum: true,
+      description: 'Scenario: percent change of token0\'s price in token1, e.g. -50 or 100 (or give from/to)'
+    },
+    days: {
+      type: 'number',
+      minimum: 0,
+      exclusiveMinimum: true,
+      maximum: MAX_PERIOD_DAYS,
+      default: DEFAULT_PERIOD_DAYS,
+      description: 'Scenario: holding period for fee income (from/to use their own span)'
+    },
+    from: { type: 'string', description: 'History: start as epoch seconds, epoch milliseconds or an ISO date' },
+    to: { type: 'string', description: 'History: end as epoch seconds, epoch milliseconds or an ISO date (default: now)' }
+  },
+  response: envelope({
+    data: ref('LpReturns'),
+    poolAddress: { type: 'string' },
+    name: { type: 'string' },
+    source: { type: 'string', enum: ['scenario', 'history'] },
+    from: { type: 'integer', nullable: true },
+    to: { type: 'integer', nullable: true },
+    snapshot: ref('Snapshot')
+  }),
+  errors: {
+    404: 'Pool not found, or no price recorded at from/to',
+    422: 'The pool has no price to start from'
+  }
+};
+
+const getDepth = {
+  params: { poolAddress: address('Pool address') },
+  query: {
+    sizes: {
+      type: 'array',
+      items: { type: 'number', minimum: 0, exclusiveMinimum: true },
+      minItems: 1,
+      maxItems: MAX_SIZES,
+      default: DEFAULT_SIZES,
+      description: 'Trade sizes in USD'
+    },
+    slippage: {
+      type: 'number',
+      minimum: 0,
+      maximum: 1,
+      exclusiveMaximum: true,
+      default: DEFAULT_SLIPPAGE,
+      description: 'Slippage tolerance as a fraction (0.01 for 1%)'
+    },
+    crossCheck: {
+      type: 'boolean',
+      default: false,
+      description: 'Compare every level with the STON.fi swap simulation (costs 10 requests)'
+    }
+  },
+  response: envelope({ data: { type: 'object' }, crossChecked: { type: 'boolean' }, snapshot: ref('Snapshot') }),
+  errors: { 404: 'Pool not found' }
+};
+
+const suggest = {
+  query: {
+    q: {
+      type: 'string',
+      required: true,
+      maxLength: MAX_SEARCH_LENGTH,
+      pattern: '\\S',
+      patternMessage: 'must not be blank',
+      description: 'Partial symbol, name or address'
+    },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_SUGGESTIONS, default: 5, description: 'Suggestions per kind' }
+  },
+  response: envelope({
+    data: {
+      type: 'object',
+      properties: {
+        tokens: { type: 'array', items: { type: 'object' } },
+        pairs: { type: 'array', items: { type: 'object' } }
+      }
+    },
+    query: { type: 'string' },
+    snapshot: ref('Snapshot')
+  })
+};
+
+const simulateSwap = {
+  body: {
+    type: 'object',
+    required: ['tokenAAddress', 'tokenBAddress', 'amountIn'],
+    properties: {
+      tokenAAddress: address('Address of the token offered'),
+      tokenBAddress: address('Address of the token asked for'),
+      amountIn: {
+        type: 'string',
+        pattern: '^[0-9]+$',
+        patternMessage: 'must be a whole number of units',
+        description: 'Amount offered in the token\'s smallest units'
+      },
+      slippageTolerance: {
+        type: 'string',
+        pattern: '^(0(\\.[0-9]+)?|1(\\.0+)?)$',
+        patternMessage: 'must be a fraction between 0 and 1',
+        default: '0.001',
+        description: 'Slippage tolerance as a fraction'
+      }
+    }
+  },
+  response: envelope({ data: { type: 'object', description: 'Swap simulation as returned by STON.fi' } })
+};
+
+const findRoute = {
+  query: {
+    from: { ...address('Address of the token offered'), required: true },
+    to: { ...address('Address of the token asked for'), required: true },
+    amount: {
+      type: 'number',
+      required: true,
+      minimum: 0,
+      exclusiveMinimum: true,
+      description: 'Amount offered in whole tokens'
+    },
+    maxHops: { type: 'integer', minimum: 1, maximum: MAX_HOPS_LIMIT, default: DEFAULT_MAX_HOPS },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_ROUTES_LIMIT, default: DEFAULT_MAX_ROUTES, description: 'Routes to return' }
+  },
+  response: envelope({ data: { type: 'object' }, snapshot: ref('Snapshot') }),
+  errors: { 404: 'No pools with liquidity for one of the tokens' }
+};
+
+const listTokens = {
+  query: {
+    page,
+    limit,
+    search: { type: 'string', maxLength: MAX_SEARCH_LENGTH, description: 'Match symbols, names and addresses' },
+    sortBy: { type: 'string', enum: ['liquidity', 'volume', 'price', 'pools', 'symbol'], default: 'liquidity' },
+    sortOrder
+  },
+  response: envelope({
+    data: { type: 'array', items: ref('Token') },
+    pagination: ref('Pagination'),
+    filters: { type: 'object' },
+    snapshot: ref('Snapshot')
+  })
+};
+
+const getToken = {
+  params: { address: address('Token address') },
+  response: envelope({ data: ref('Token'), addressForms: ref('AddressForms'), snapshot: ref('Snapshot') }),
+  errors: { 404: 'Token not found' }
+};
+
+const getTokenPair = {
+  params: {
+    address: address('Base token address'),
+    otherAddress: address('Quote token address')
+  },
+  response: envelope({
+    data: { type: 'array', items: ref('Pair') },
+    base: ref('Token'),
+    quote: ref('Token'),
+    totalPools: { type: 'integer' },
+    snapshot: ref('Snapshot')
+  }),
+  errors: { 404: 'Token not found' }
+};
+
+// Whole tokens as a decimal string (or a JSON number)
+const tokenAmount = description => ({
+  type: 'string',
+  pattern: '^[0-9]+(\\.[0-9]+)?$',
+  patternMessage: 'must be a non-negative decimal number',
+  description
+});
+
+const getPortfolio = {
+  body: {
+    type: 'object',
+    properties: {
+      holdings: {
+        type: 'array',
+        maxItems: MAX_PORTFOLIO_LINES,
+        default: [],
+        items: {
+          type: 'object',
+          required: ['tokenAddress', 'amount'],
+          properties: {
+            tokenAddress: address('Token held'),
+            amount: tokenAmount('Amount held in whole tokens')
+          }
+        }
+      },
+      positions: {
+        type: 'array',
+        maxItems: MAX_PORTFOLIO_LINES,
+        default: [],
+        items: {
+          type: 'object',
+          required: ['poolAddress', 'lpAmount'],
+          properties: {
+            poolAddress: address('Pool the LP tokens belong to'),
+            lpAmount: tokenAmount('LP tokens held, in whole tokens')
+          }
+        }
+      }
+    }
+  },
+  response: envelope({ data: ref('Portfolio'), snapshot: ref('Snapshot') })
+};
+
+const getWallet = {
+  params: { address: address('Wallet address') },
+  response: envelope({ data: ref('Portfolio'), addressForms: ref('AddressForms'), snapshot: ref('Snapshot') })
+};
+
+const getCategories = {
+  response: envelope({ data: { type: 'array', items: { type: 'object' } }, tags: { type: 'array', items: { type: 'object' } }, snapshot: ref('Snapshot') })
+};
+
+const listOraclePrices = {
+  query: {
+    page,
+    limit,
+    source: { type: 'string', enum: ['all', ...SOURCES], default: 'all' },
+    minConfidence: { type: 'number', minimum: 0, maximum: 1, default: 0 },
+    sortBy: { type: 'string', enum: ['confidence', 'price', 'liquidity', 'symbol'], default: 'confidence' },
+    sortOrder
+  },
+  response: envelope({
+    data: { type: 'array', items: ref('OraclePrice') },
+    pagination: ref('Pagination'),
+    filters: { type: 'object' },
+    snapshot: ref('Snapshot')
+  })
+};
+
+const getOraclePrice = {
+  params: { address: address('Token address') },
+  response: envelope({ data: ref('OraclePrice'), addressForms: ref('AddressForms'), snapshot: ref('Snapshot') }),
+  errors: { 404: 'Token not found' }
+};
+
+const listAssets = {
+  query: { format, columns },
+  response: envelope({ data: { type: 'array', items: { type: 'object' } }, totalAssets: { type: 'integer' }, snapshot: ref('Snapshot') }),
+  exportable: true
+};
+
+const listPools = {
+  query: { format, columns },
+  response: envelope({ data: { type: 'array', items: { type: 'object' } }, totalPools: { type: 'integer' }, snapshot: ref('Snapshot') }),
+  exportable: true
+};
+
+const stream = {
+  query: {
+    pools: {
+      type: 'array',
+      items: tonAddress,
+      maxItems: MAX_POOLS_PER_SUBSCRIPTION,
+      description: 'Only stream these pools'
+    },
+    category,
+    categoryMatch,
+    minLiquidity,
+    excludeFlags
+  },
+  stream: true
+};
+
+const alertProperties = {
+  name: { type: 'string', maxLength: 200 },
+  type: { type: 'string', enum: RULE_TYPES },
+  poolAddress: address('Watched pool (or tokenAddress)'),
+  tokenAddress: address('Watched token (or poolAddress)'),
+  threshold: { type: 'number', minimum: 0 },
+  direction: { type: 'string', enum: DIRECTIONS },
+  window: { type: 'integer', minimum: 0, description: 'Milliseconds looked back by price_change' },
+  cooldown: { type: 'integer', minimum: 0, description: 'Milliseconds between firings' },
+  webhookUrl: { type: 'string', minLength: 1, description: 'http(s) URL the alert is POSTed to' },
+  secret: { type: 'string', description: 'Signs webhook deliveries (never returned)' },
+  enabled: { type: 'boolean' }
+};
+
+const alertId = { id: { type: 'string', minLength: 1, description: 'Alert rule id' } };
+
+const listAlerts = {
+  response: envelope({ data: { type: 'array', items: ref('AlertRule') }, totalAlerts: { type: 'integer' } })
+};
+
+const createAlert = {
+  body: {
+    type: 'object',
+    required: ['type', 'threshold', 'webhookUrl'],
+    properties: alertProperties
+  },
+  status: 201,
+  response: envelope({ data: ref('AlertRule') })
+};
+
+const alertNotFound = { 404: 'Alert not found' };
+
+const getAlert = { params: alertId, response: envelope({ data: ref('AlertRule') }), errors: alertNotFound };
+
+const updateAlert = {
+  params: alertId,
+  body: { type: 'object', properties: alertProperties },
+  response: envelope({ data: ref('AlertRule') }),
+  errors: alertNotFound
+};
+
+const deleteAlert = { params: alertId, response: envelope({ message: { type: 'string' } }), errors: alertNotFound };
+
+// GraphQL reports its own errors, so this is documentation only (validate: false on the routes)
+const graphqlQuery = {
+  query: {
+    query: { type: 'string', required: true, description: 'GraphQL document' },
+    variables: { type: 'string', description: 'Variables as a JSON object' },
+    operationName: { type: 'string' }
+  },
+  response: { type: 'object', description: 'GraphQL result with data and/or errors' }
+};
+
+const graphqlBody = {
+  body: {
+    type: 'object',
+    required: ['query'],
+    properties: {
+      query: { type: 'string', description: 'GraphQL document' },
+      variables: { type: 'object' },
+      operationName: { type: 'string' }
+    }
+  },
+  response: graphqlQuery.response
+};
+
+// Response components shared by the routes above
+
+const components = {
+  Snapshot: {
+    type: 'object',
+    description: 'The STON.fi data snapshot a response was served from',
+    properties: {
+      id: { type: 'string' },
+      version: { type: 'integer' },
+      createdAt: { type: 'integer', description: 'Epoch milliseconds' },
+      age: { type: 'integer', description: 'Milliseconds since the snapshot was taken' },
+      stale: { type: 'boolean', description: 'Served past its maximum staleness (upstream unavailable)' }
+    }
+  },
+  Pagination: {
+    type: 'object',
+    properties: {
+      currentPage: { type: 'integer' },
+      totalPages: { type: 'integer' },
+      totalItems: { type: 'integer' },
+      itemsPerPage: { type: 'integer' },
+      hasNextPage: { type: 'boolean' },
+      hasPrevPage: { type: 'boolean' },
+      startIndex: { type: 'integer' },
+      endIndex: { type: 'integer' },
+      nextCursor: { type: 'string', nullable: true, description: 'Cursor pagination only' }
+    }
+  },
+  AddressForms: {
+    type: 'object',
+    description: 'The address looked up, in every form (canonical is the one used in responses)',
+    properties: {
+      canonical: { type: 'string' },
+      raw: { type: 'string', description: 'workchain:hex' },
+      bounceable: { type: 'string' },
+      nonBounceable: { type: 'string' }
+    }
+  },
+  PairToken: {
+    type: 'object',
+    properties: {
+      symbol: { type: 'string' },
+      name: { type: 'string' },
+      address: { type: 'string' },
+      decimals: { type: 'integer' },
+      usdPrice: { type: 'number' },
+      tags: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  Pair: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      token0: ref('PairToken'),
+      token1: ref('PairToken'),
+      price: { type: 'number', description: 'token1 per token0' },
+      formattedPrice: { type: 'string' },
+      priceSource: { type: 'string' },
+      usdImpliedPrice: { type: 'number', nullable: true },
+      reserveImpliedPrice: { type: 'number', nullable: true },
+      priceDivergence: { type: 'number', nullable: true },
+      flags: { type: 'array', items: { type: 'string', enum: PAIR_FLAGS } },
+      liquidity: { type: 'number', description: 'USD' },
+      volume24h: { type: 'number', description: 'USD' },
+      apy: { type: 'number' },
+      poolAddress: { type: 'string' },
+      reserves: { type: 'object' },
+      popularityIndex: { type: 'number' },
+      feeBps: { type: 'number' },
+      exact: { type: 'object', description: 'Decimal strings (precision=exact adds more)' }
+    }
+  },
+  Token: {
+    type: 'object',
+    properties: {
+      address: { type: 'string' },
+      symbol: { type: 'string' },
+      name: { type: 'string' },
+      decimals: { type: 'integer' },
+      priceUsd: { type: 'number' },
+      priceTon: { type: 'number', nullable: true },
+      priceSource: { type: 'string' },
+      totalLiquidity: { type: 'number' },
+      totalVolume24h: { type: 'number' },
+      poolCount: { type: 'integer' }
+    }
+  },
+  OraclePrice: {
+    type: 'object',
+    properties: {
+      address: { type: 'string' },
+      symbol: { type: 'string' },
+      usdPrice: { type: 'number', nullable: true },
+      source: { type: 'string', enum: SOURCES },
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+      path: { type: 'array', items: { type: 'string' } },
+      pools: { type: 'array', items: { type: 'string' } },
+      liquidity: { type: 'number' }
+    }
+  },
+  LpReturns: {
+    type: 'object',
+    description: 'USD values with token1 as the unit of account; percents are 0-100 scale',
+    properties: {
+      deposit: { type: 'number' },
+      days: { type: 'number' },
+      apy: { type: 'number', description: 'Percent, from the pool\'s 1-day APY' },
+      price: {
+        type: 'object',
+        description: 'token0 in token1',
+        properties: {
+          start: { type: 'number' },
+          end: { type: 'number' },
+          ratio: { type: 'number' },
+          changePercent: { type: 'number' }
+        }
+      },
+      hold: { type: 'object', properties: { value: { type: 'number' }, returnPercent: { type: 'number' } } },
+      lp: {
+        type: 'object',
+        properties: {
+          value: { type: 'number', description: 'Without fees' },
+          valueWithFees: { type: 'number' },
+          returnPercent: { type: 'number', description: 'With fees, against the deposit' }
+        }
+      },
+      impermanentLoss: { type: 'object', properties: { value: { type: 'number' }, percent: { type: 'number' } } },
+      fees: { type: 'object', properties: { value: { type: 'number' }, percent: { type: 'number' } } },
+      netVsHold: {
+        type: 'object',
+        description: 'LP with fees against holding',
+        properties: { value: { type: 'number' }, percent: { type: 'number' } }
+      },
+      breakEven: {
+        type: 'object',
+        description: 'Prices between which fees cover the impermanent loss',
+        properties: {
+          priceLow: { type: 'number' },
+          priceHigh: { type: 'number' },
+          changeLowPercent: { type: 'number' },
+          changeHighPercent: { type: 'number' }
+        }
+      }
+    }
+  },
+  Candle: {
+    type: 'object',
+    properties: {
+      time: { type: 'integer', description: 'Bucket start, epoch milliseconds' },
+      open: { type: 'number' },
+      high: { type: 'number' },
+      low: { type: 'number' },
+      close: { type: 'number' },
+      volume24h: { type: 'number' },
+      liquidity: { type: 'number' },
+      samples: { type: 'integer' }
+    }
+  },
+  PortfolioLine: {
+    type: 'object',
+    description: 'A token amount and its value; values are null when unpriced (see reason)',
+    properties: {
+      tokenAddress: { type: 'string' },
+      symbol: { type: 'string', nullable: true },
+      amount: { type: 'string', description: 'Whole tokens' },
+      priceUsd: { type: 'number', nullable: true },
+      priceTon: { type: 'number', nullable: true },
+      priceSource: { type: 'string', nullable: true },
+      valueUsd: { type: 'number', nullable: true },
+      valueTon: { type: 'number', nullable: true },
+      priced: { type: 'boolean' },
+      reason: { type: 'string', enum: UNPRICED_REASONS }
+    }
+  },
+  PortfolioPosition: {
+    type: 'object',
+    description: 'An LP position broken down into the reserves its LP tokens redeem for',
+    properties: {
+      poolAddress: { type: 'string' },
+      name: { type: 'string', nullable: true },
+      lpAmount: { type: 'string', description: 'Whole LP tokens' },
+      share: { type: 'number', nullable: true, description: 'Fraction of the LP supply' },
+      underlying: { type: 'array', items: ref('PortfolioLine') },
+      valueUsd: { type: 'number', nullable: true, description: 'Priced sides only' },
+      valueTon: { type: 'number', nullable: true },
+      priced: { type: 'boolean', description: 'Both sides priced' },
+      reason: { type: 'string', enum: UNPRICED_REASONS }
+    }
+  },
+  Portfolio: {
+    type: 'object',
+    properties: {
+      holdings: { type: 'array', items: ref('PortfolioLine') },
+      positions: { type: 'array', items: ref('PortfolioPosition') },
+      totals: {
+        type: 'object',
+        properties: {
+          valueUsd: { type: 'number' },
+          valueTon: { type: 'number', nullable: true },
+          holdingsUsd: { type: 'number' },
+          positionsUsd: { type: 'number' },
+          tonUsdPrice: { type: 'number', nullable: true },
+          complete: { type: 'boolean', description: 'False when something is left out (see unpriced)' }
+        }
+      },
+      unpriced: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            location: { type: 'string', enum: ['holdings', 'positions'] },
+            index: { type: 'integer' },
+            tokenAddress: { type: 'string' },
+            poolAddress: { type: 'string' },
+            amount: { type: 'string' },
+            reason: { type: 'string', enum: UNPRICED_REASONS }
+          }
+        }
+      }
+    }
+  },
+  AlertRule: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      ...alertProperties,
+      hasSecret: { type: 'boolean' },
+      createdAt: { type: 'integer' },
+      updatedAt: { type: 'integer' },
+      lastTriggeredAt: { type: 'integer', nullable: true }
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['success', 'error', 'details'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string', enum: ['Invalid request'] },
+      details: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            location: { type: 'string', enum: ['params', 'query', 'body'] },
+            field: { type: 'string' },
+            message: { type: 'string' }
+          }
+        }
+      }
+    }
+  }
+};
+
+module.exports = {
+  PRECISIONS,
+  MAX_PAGE_SIZE,
+  components,
+  listPairs,
+  getPair,
+  searchPairs,
+  getCandles,
+  getImpermanentLoss,
+  getDepth,
+  suggest,
+  simulateSwap,
+  findRoute,
+  listTokens,
+  getToken,
+  getTokenPair,
+  getPortfolio,
+  getWallet,
+  getCategories,
+  listOraclePrices,
+  getOraclePrice,
+  listAssets,
+  listPools,
+  stream,
+  listAlerts,
+  createAlert,
+  getAlert,
+  updateAlert,
+  deleteAlert,
+  graphqlQuery,
+  graphqlBody
+};
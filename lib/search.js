@@ -0,0 +1,263 @@
+// lib/search.js - Ranked, typo-tolerant search over tokens and pairs
+//
+// The index is built once per pair list (i.e. per snapshot) from each token's
+// symbol, display name and address. A query matches a field exactly, by
+// prefix (of the whole field or of any word of a name), as a substring, or
+// fuzzily within a small edit distance. Results rank by match type first
+// (exact > prefix > substring > fuzzy), then by field (symbol > name >
+// address), then by liquidity. "TON/USD" style queries match each side of a
+// pair separately. A complete address matches in any of its forms (raw,
+// bounceable or not), as it is compared in canonical form.
+
+const { recordCacheLookup } = require('./metrics');
+const { normalizeAddress } = require('./address');
+
+const MATCH_TYPES = ['fuzzy', 'substring', 'prefix', 'exact']; // Weakest first
+const FIELD_WEIGHTS = { symbol: 3, name: 2, address: 1 };
+const MIN_SUBSTRING_LENGTH = 2;
+const MIN_FUZZY_LENGTH = 3;
+const MIN_ADDRESS_PREFIX_LENGTH = 4;
+
+// Indexes are derived data, so build them once per pair list
+const indexCache = new WeakMap();
+
+// Helper function to split a display name into lowercase words
+function toWords(text) {
+  return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Edit distance (with transpositions) between two strings, capped at max + 1
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const nextRow = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousRow[j - 2] + 1);
+      }
+      nextRow.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = nextRow;
+  }
+  return row[b.length];
+}
+
+// Helper function to allow more typos in longer queries
+function maxTypos(query) {
+  return query.length < MIN_FUZZY_LENGTH ? 0 : query.length <= 4 ? 1 : 2;
+}
+
+// Helper function to match a query against one term; null when it doesn't match
+function matchTerm(term, query, { words = [], prefixOnly = false } = {}) {
+  if (!term) return null;
+  if (term === query) return { type: 'exact', distance: 0 };
+  if (term.startsWith(query)) return { type: 'prefix', distance: 0 };
+  if (prefixOnly) return null;
+  if (words.some(word => word.startsWith(query))) return { type: 'prefix', distance: 0 };
+  if (query.length >= MIN_SUBSTRING_LENGTH && term.includes(query)) return { type: 'substring', distance: 0 };
+
+  const max = maxTypos(query);
+  if (max === 0) return null;
+
+  // Compare with the whole term and with what the user may have typed so far of it
+  let best = max + 1;
+  [term, ...words].forEach(candidate => {
+    best = Math.min(
+      best,
+      editDistance(query, candidate, max),
+      editDistance(query, candidate.slice(0, query.length), max)
+    );
+  });
+  return best <= max ? { type: 'fuzzy', distance: best } : null;
+}
+
+// Helper function to score a match so higher is better
+function scoreMatch(match, field) {
+  return MATCH_TYPES.indexOf(match.type) * 10 + FIELD_WEIGHTS[field] - match.distance;
+}
+
+// Best match of a query against a token's fields, or null
+function matchToken(token, query) {
+  let best = null;
+
+  [
+    ['symbol', matchTerm(token.terms.symbol, query)],
+    ['name', matchTerm(token.terms.name, query, { words: token.terms.words })],
+    ['address', query.length >= MIN_ADDRESS_PREFIX_LENGTH
+      ? matchTerm(token.terms.address, query, { prefixOnly: true })
+      : null]
+  ].forEach(([field, match]) => {
+    if (!match) return;
+    const score = scoreMatch(match, field);
+    if (!best || score > best.score) {
+      best = { score, field, type: match.type, value: field === 'address' ? token.address : token[field] };
+    }
+  });
+
+  return best;
+}
+
+// Build the search index for a list of pairs
+function buildSearchIndex(pairs) {
+  const tokens = new Map();
+
+  pairs.forEach(pair => {
+    [pair.token0, pair.token1].forEach(token => {
+      if (!tokens.has(token.address)) {
+        tokens.set(token.address, {
+          address: token.address,
+          symbol: token.symbol,
+          name: token.name,
+          liquidity: 0,
+          pairs: [],
+          terms: {
+            symbol: (token.symbol || '').toLowerCase(),
+            name: (token.name || '').toLowerCase(),
+            words: toWords(token.name || ''),
+            address: (token.address || '').toLowerCase()
+          }
+        });
+      }
+      const entry = tokens.get(token.address);
+      entry.liquidity += pair.liquidity;
+      entry.pairs.push(pair);
+    });
+  });
+
+  return { pairs, tokens: [...tokens.values()] };
+}
+
+// Get the (cached) search index for a pair list
+function getSearchIndex(pairs) {
+  recordCacheLookup('search_index', indexCache.has(pairs));
+  if (!indexCache.has(pairs)) {
+    indexCache.set(pairs, buildSearchIndex(pairs));
+  }
+  return indexCache.get(pairs);
+}
+
+// Helper function to turn user input into a query: a complete address becomes
+// its canonical form, anything else is lowercased (as the index is)
+function toQuery(text) {
+  const trimmed = String(text || '').trim();
+  return (normalizeAddress(trimmed) || trimmed).toLowerCase();
+}
+
+// Helper function to score every token against a query: address -> match
+function matchTokens(index, query) {
+  const matches = new Map();
+  index.tokens.forEach(token => {
+    const match = matchToken(token, query);
+    if (match) matches.set(token.address, match);
+  });
+  return matches;
+}
+
+// Ranked tokens matching a query
+function searchTokens(index, text, { limit = Infinity } = {}) {
+  const query = toQuery(text);
+  if (!query) return [];
+
+  const matches = matchTokens(index, query);
+  return index.tokens
+    .filter(token => matches.has(token.address))
+    .map(token => ({ token, match: matches.get(token.address) }))
+    .sort((a, b) => b.match.score - a.match.score || b.token.liquidity - a.token.liquidity)
+    .slice(0, limit)
+    .map(({ token, match }) => ({
+      address: token.address,
+      symbol: token.symbol,
+      name: token.name,
+      liquidity: token.liquidity,
+      poolCount: token.pairs.length,
+      score: match.score,
+      matchedField: match.field,
+      matchType: match.type,
+      matchedValue: match.value
+    }));
+}
+
+// Ranked pairs matching a query: [{ pair, score, matchedField, matchType, matchedValue }]
+function searchPairs(index, text, { limit = Infinity } = {}) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return [];
+
+  const results = [];
+  // Standard base64 addresses may contain "/", so only split what isn't one
+  const parts = normalizeAddress(trimmed) ? [trimmed] : trimmed.split('/');
+  const [left, right] = parts.map(toQuery);
+
+  if (parts.length > 1 && left && right) {
+    // One query per side, in either order; the weaker side decides the score
+    const leftMatches = matchTokens(index, left);
+    const rightMatches = matchTokens(index, right);
+
+    index.pairs.forEach(pair => {
+      const candidates = [
+        [leftMatches.get(pair.token0.address), rightMatches.get(pair.token1.address)],
+        [leftMatches.get(pair.token1.address), rightMatches.get(pair.token0.address)]
+      ].filter(([a, b]) => a && b);
+      if (candidates.length === 0) return;
+
+      const [a, b] = candidates.reduce((best, current) =>
+        Math.min(...current.map(m => m.score)) > Math.min(...best.map(m => m.score)) ? current : best
+      );
+      const weaker = a.score <= b.score ? a : b;
+      results.push({ pair, score: weaker.score, matchedField: 'name', matchType: weaker.type, matchedValue: pair.name });
+    });
+  } else {
+    const single = left || right;
+    const tokenMatches = matchTokens(index, single);
+
+    index.pairs.forEach(pair => {
+      let best = null;
+      ['token0', 'token1'].forEach(side => {
+        const match = tokenMatches.get(pair[side].address);
+        if (match && (!best || match.score > best.score)) {
+          best = { ...match, field: `${side}.${match.field}` };
+        }
+      });
+
+      if (single.length >= MIN_ADDRESS_PREFIX_LENGTH) {
+        const poolMatch = matchTerm(pair.poolAddress.toLowerCase(), single, { prefixOnly: true });
+        if (poolMatch) {
+          const score = scoreMatch(poolMatch, 'address');
+          if (!best || score > best.score) {
+            best = { score, field: 'poolAddress', type: poolMatch.type, value: pair.poolAddress };
+          }
+        }
+      }
+
+      if (best) {
+        results.push({
+          pair,
+          score: best.score,
+          matchedField: best.field,
+          matchType: best.type,
+          matchedValue: best.value
+        });
+      }
+    });
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || b.pair.liquidity - a.pair.liquidity)
+    .slice(0, limit);
+}
+
+module.exports = {
+  MATCH_TYPES,
+  editDistance,
+  getSearchIndex,
+  searchTokens,
+  searchPairs
+};
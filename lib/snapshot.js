@@ -0,0 +1,227 @@
+// lib/snapshot.js - Versioned in-memory snapshot of assets, pools and trading pairs
+//
+// One snapshot is shared by every route. It is refreshed in the background on
+// an interval; requests are served from memory and only wait for the upstream
+// when the snapshot is older than the staleness limit (or missing entirely).
+// If that refresh fails (or one failed moments ago), the last good snapshot is
+// served instead and described with stale: true, so an upstream outage
+// degrades the data rather than failing every request.
+// The last few snapshots are retained so cursor pagination can keep walking
+// the snapshot it started on (see lib/cursor.js).
+const { EventEmitter } = require('events');
+const { calculateTradingPairs, normalizeAsset, normalizePool } = require('./pairs');
+const { snapshotLookups, snapshotRefreshes } = require('./metrics');
+const { logger } = require('./logger');
+
+const DEFAULT_REFRESH_INTERVAL = 30000; // 30 seconds between background refreshes
+const DEFAULT_MAX_STALENESS = 120000; // 2 minutes before a request forces a refresh
+const DEFAULT_RETAINED_SNAPSHOTS = 10; // Current one included
+
+const snapshotLogger = logger.child({ component: 'snapshot' });
+
+// Helper function to unwrap list responses that may come wrapped in an object
+function toList(response, key) {
+  return (response && response[key]) || response || [];
+}
+
+// Helper function to build a snapshot from raw upstream responses. Addresses are
+// stored in canonical form, so every lookup can compare them as strings.
+function buildSnapshot(version, assetsResponse, poolsResponse, maxStaleness) {
+  const createdAt = Date.now();
+  const assets = toList(assetsResponse, 'asset_list').map(normalizeAsset);
+  const pools = toList(poolsResponse, 'pool_list').map(normalizePool);
+  const pairs = calculateTradingPairs(assets, pools);
+
+  const pairIndex = new Map();
+  pairs.forEach(pair => pairIndex.set(pair.poolAddress, pair));
+
+  return {
+    id: `${createdAt.toString(36)}-${version}`,
+    version,
+    createdAt,
+    staleAfter: createdAt + maxStaleness,
+    assets,
+    pools,
+    pairs,
+    pairIndex
+  };
+}
+
+// Create a snapshot store that polls the given data source
+function createSnapshotStore({
+  dataSource,
+  refreshInterval = parseInt(process.env.SNAPSHOT_REFRESH_INTERVAL) || DEFAULT_REFRESH_INTERVAL,
+  maxStaleness = parseInt(process.env.SNAPSHOT_MAX_STALENESS) || DEFAULT_MAX_STALENESS,
+  retainedSnapshots = parseInt(process.env.SNAPSHOT_RETENTION) || DEFAULT_RETAINED_SNAPSHOTS
+}) {
+  const events = new EventEmitter();
+  const retained = []; // Most recent last
+  let current = null;
+  let version = 0;
+  let inFlight = null;
+  let timer = null;
+  let lastFailure = null; // { at, error } of the last failed refresh, cleared on success
+  let consecutiveFailures = 0;
+
+  // Fetch fresh data and swap in a new snapshot; concurrent callers share one fetch
+  function refresh() {
+    if (inFlight) return inFlight;
+
+    inFlight = (async () => {
+      const [assets, pools] = await Promise.all([
+        dataSource.getAssets(),
+        dataSource.getPools()
+      ]);
+
+      const previous = current;
+      current = buildSnapshot(++version, assets, pools, maxStaleness);
+      retained.push(current);
+      if (retained.length > retainedSnapshots) retained.shift();
+      lastFailure = null;
+      consecutiveFailures = 0;
+      snapshotRefreshes.inc({ outcome: 'success' });
+      snapshotLogger.debug('Snapshot refreshed', {
+        snapshotId: current.id,
+        assets: current.assets.length,
+        pools: current.pools.length,
+        pairs: current.pairs.length
+      });
+      events.emit('snapshot', current, previous);
+      return current;
+    })().catch(error => {
+      lastFailure = { at: Date.now(), error };
+      consecutiveFailures++;
+      snapshotRefreshes.inc({ outcome: 'error' });
+      throw error;
+    }).finally(() => {
+      inFlight = null;
+    });
+
+    return inFlight;
+  }
+
+  // Background refresh that never rejects; the previous snapshot stays in place on failure
+  function refreshInBackground() {
+    refresh().catch(error => {
+      snapshotLogger.error('Background snapshot refresh failed', { error });
+      events.emit('error', error);
+    });
+  }
+
+  // Age of the current snapshot in milliseconds (Infinity if there is none yet)
+  function getAge(snapshot = current) {
+    return snapshot ? Date.now() - snapshot.createdAt : Infinity;
+  }
+
+  // Whether the last refresh failed less than a refresh interval ago
+  function failedRecently() {
+    return lastFailure !== null && Date.now() - lastFailure.at < refreshInterval;
+  }
+
+  // Get the current snapshot, revalidating in the background once it is due.
+  // Past the staleness limit it waits for a refresh, falling back to the last
+  // good snapshot when the upstream fails; it only rejects when there is none.
+  async function get() {
+    const age = getAge();
+
+    if (!current) {
+      snapshotLookups.inc({ result: 'miss' });
+      return refresh();
+    }
+
+    if (age > maxStaleness) {
+      if (!failedRecently()) {
+        try {
+          const snapshot = await refresh();
+          snapshotLookups.inc({ result: 'miss' });
+          return snapshot;
+        } catch (error) {
+          snapshotLogger.warn('Serving last good snapshot', { snapshotId: current.id, ageMs: getAge(), error });
+        }
+      } else {
+        // Don't make every request wait on an upstream that just failed
+        refreshInBackground();
+      }
+      snapshotLookups.inc({ result: 'fallback' });
+      return current;
+    }
+
+    if (age > refreshInterval) {
+      snapshotLookups.inc({ result: 'revalidate' });
+      refreshInBackground();
+    } else {
+      snapshotLookups.inc({ result: 'fresh' });
+    }
+
+    return current;
+  }
+
+  // Snapshot side of the health checks
+  function getStatus() {
+    return {
+      ready: current !== null,
+      stale: current ? getAge() > maxStaleness : null,
+      age: current ? getAge() : null,
+      id: current ? current.id : null,
+      lastRefreshAt: current ? current.createdAt : null,
+      refreshInFlight: inFlight !== null,
+      consecutiveFailures,
+      lastFailure: lastFailure ? { at: lastFailure.at, error: lastFailure.error.message } : null
+    };
+  }
+
+  // Look up a retained snapshot by id (null once it has been dropped)
+  function getById(id) {
+    return retained.find(snapshot => snapshot.id === id) || null;
+  }
+
+  function start() {
+    if (timer) return;
+    refreshInBackground();
+    timer = setInterval(refreshInBackground, refreshInterval);
+    // Don't keep the process alive just for polling
+    if (timer.unref) timer.unref();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  // Don't crash on refresh errors when nobody is listening for them
+  events.on('error', () => {});
+
+  return {
+    refreshInterval,
+    maxStaleness,
+    retainedSnapshots,
+    get,
+    getById,
+    peek: () => current,
+    getAge,
+    getStatus,
+    refresh,
+    start,
+    stop,
+    on: (event, listener) => events.on(event, listener),
+    off: (event, listener) => events.off(event, listener)
+  };
+}
+
+// Helper function to describe a snapshot in API responses; stale once it is past
+// the staleness limit (i.e. served as the last good data while the upstream is down)
+function describeSnapshot(snapshot) {
+  const now = Date.now();
+  return {
+    id: snapshot.id,
+    version: snapshot.version,
+    createdAt: snapshot.createdAt,
+    age: now - snapshot.createdAt,
+    stale: now > snapshot.staleAfter
+  };
+}
+
+module.exports = {
+  createSnapshotStore,
+  describeSnapshot
+};
@@ -0,0 +1,178 @@
+// lib/stream.js - Real-time price deltas over Server-Sent Events
+//
+// Clients subscribe to a list of pool addresses and/or a filter (category,
+// minLiquidity, excludeFlags). Every time the shared snapshot is refreshed,
+// each subscriber gets only the pairs that changed price, reserves, liquidity
+// or quality flags and match its subscription. Needs a long-lived connection,
+// so it runs on the Express server only.
+const { filterAndSortPairs, parseExcludeFlags } = require('./pairs');
+const { describeSnapshot } = require('./snapshot');
+
+const HEARTBEAT_INTERVAL = 15000; // Keeps proxies from closing idle connections
+const MAX_POOLS_PER_SUBSCRIPTION = 500;
+
+// Helper function to check whether a pair moved between two snapshots
+function pairChanged(previous, current) {
+  return previous.price !== current.price ||
+    previous.liquidity !== current.liquidity ||
+    previous.reserves.token0 !== current.reserves.token0 ||
+    previous.reserves.token1 !== current.reserves.token1 ||
+    previous.flags.join(',') !== current.flags.join(',');
+}
+
+// Compare two snapshots and list the pairs that changed, appeared or disappeared
+function diffSnapshots(previous, current) {
+  const changed = [];
+  const removed = [];
+
+  current.pairs.forEach(pair => {
+    const before = previous.pairIndex.get(pair.poolAddress);
+    if (!before || pairChanged(before, pair)) {
+      changed.push(pair);
+    }
+  });
+
+  previous.pairs.forEach(pair => {
+    if (!current.pairIndex.has(pair.poolAddress)) {
+      removed.push(pair);
+    }
+  });
+
+  return { changed, removed };
+}
+
+// Helper function to turn a pair into the compact form sent over the stream
+function toDelta(pair) {
+  return {
+    poolAddress: pair.poolAddress,
+    name: pair.name,
+    price: pair.price,
+    formattedPrice: pair.formattedPrice,
+    priceSource: pair.priceSource,
+    flags: pair.flags,
+    reserves: pair.reserves,
+    liquidity: pair.liquidity,
+    volume24h: pair.volume24h,
+    apy: pair.apy,
+    token0: { symbol: pair.token0.symbol, usdPrice: pair.token0.usdPrice },
+    token1: { symbol: pair.token1.symbol, usdPrice: pair.token1.usdPrice }
+  };
+}
+
+// Helper function to build a subscription from the (validated) query string
+function parseSubscription(query) {
+  const pools = query.pools || [];
+
+  return {
+    pools: pools.length > 0 ? new Set(pools) : null,
+    category: query.category || 'all',
+    categoryMatch: query.categoryMatch || 'any',
+    minLiquidity: parseFloat(query.minLiquidity) || 0,
+    excludeFlags: parseExcludeFlags(query.excludeFlags).flags
+  };
+}
+
+// Helper function to pick the pairs a subscriber cares about
+function selectPairs(subscription, pairs) {
+  const candidates = subscription.pools
+    ? pairs.filter(pair => subscription.pools.has(pair.poolAddress))
+    : pairs;
+
+  // Reuse the list filters so streamed pairs match what /api/pairs would return
+  return filterAndSortPairs(candidates, {
+    search: '',
+    sortBy: 'liquidity',
+    sortOrder: 'desc',
+    minLiquidity: subscription.minLiquidity,
+    category: subscription.category,
+    categoryMatch: subscription.categoryMatch,
+    excludeFlags: subscription.excludeFlags
+  });
+}
+
+// Helper function to write one SSE event
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Create the stream hub fed by the given snapshot store
+function createPriceStream(snapshots, { heartbeatInterval = HEARTBEAT_INTERVAL } = {}) {
+  const subscribers = new Set();
+
+  snapshots.on('snapshot', (current, previous) => {
+    if (!previous || subscribers.size === 0) return;
+
+    const diff = diffSnapshots(previous, current);
+    if (diff.changed.length === 0 && diff.removed.length === 0) return;
+
+    subscribers.forEach(subscriber => {
+      const changed = selectPairs(subscriber.subscription, diff.changed);
+      const removed = selectPairs(subscriber.subscription, diff.removed);
+      if (changed.length === 0 && removed.length === 0) return;
+
+      sendEvent(subscriber.res, 'delta', {
+        snapshot: describeSnapshot(current),
+        previousSnapshotId: previous.id,
+        changed: changed.map(toDelta),
+        removed: removed.map(pair => pair.poolAddress)
+      });
+    });
+  });
+
+  // Route handler: GET /api/stream?pools=...&category=...&minLiquidity=...&excludeFlags=...
+  async function subscribe(req, res) {
+    // Pool count, categories and flags were checked against the route schema (see lib/schemas.js)
+    const subscription = parseSubscription(req.query);
+
+    let snapshot;
+    try {
+      snapshot = await snapshots.get();
+    } catch (error) {
+      req.log.error('Error opening price stream', { error });
+      return res.status(error.status || 500).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const subscriber = { res, subscription };
+    subscribers.add(subscriber);
+
+    sendEvent(res, 'hello', {
+      snapshot: describeSnapshot(snapshot),
+      subscription: {
+        pools: subscription.pools ? [...subscription.pools] : null,
+        category: subscription.category,
+        categoryMatch: subscription.categoryMatch,
+        minLiquidity: subscription.minLiquidity,
+        excludeFlags: subscription.excludeFlags
+      },
+      matchingPairs: selectPairs(subscription, snapshot.pairs).length
+    });
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatInterval);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      subscribers.delete(subscriber);
+    });
+  }
+
+  return {
+    subscribe,
+    getSubscriberCount: () => subscribers.size
+  };
+}
+
+module.exports = {
+  MAX_POOLS_PER_SUBSCRIPTION,
+  createPriceStream,
+  diffSnapshots
+};
@@ -0,0 +1,169 @@
+// lib/tokens.js - Token-centric views aggregating every pool an asset trades in
+//
+// A token's USD price is the liquidity-weighted average of the prices implied
+// by each of its pools (reserves ratio times the other side's USD price),
+// falling back to the upstream dexUsdPrice when no pool can price it. The TON
+// price is the USD price divided by TON's.
+const { reservePrice } = require('./decimal');
+const { getAssetUsdPrice } = require('./pairs');
+const { recordCacheLookup } = require('./metrics');
+const { toCanonicalAddress } = require('./address');
+
+// Token indexes, TON prices and token lists are derived data, so build them once per snapshot
+const indexCache = new WeakMap();
+const tonPriceCache = new WeakMap();
+const listCache = new WeakMap();
+
+// Helper function to find the TON asset in a snapshot
+function findTonAsset(assets) {
+  const tonAddress = process.env.TON_ADDRESS && toCanonicalAddress(process.env.TON_ADDRESS);
+  return assets.find(asset => tonAddress
+    ? asset.contractAddress === tonAddress
+    : asset.kind === 'Ton' || asset.symbol === 'TON') || null;
+}
+
+// Price of a token in units of the other token of a pair, from reserves
+function impliedPrice(pair, tokenAddress) {
+  const isToken0 = pair.token0.address === tokenAddress;
+  const exactReserves = pair.exact ? pair.exact.reserves : pair.reserves;
+  const [reserveToken, reserveOther] = isToken0
+    ? [exactReserves.token0, exactReserves.token1]
+    : [exactReserves.token1, exactReserves.token0];
+  const [token, other] = isToken0 ? [pair.token0, pair.token1] : [pair.token1, pair.token0];
+  return Number(reservePrice(reserveToken, reserveOther, token.decimals, other.decimals));
+}
+
+// Helper function to get the other token of a pair
+function otherToken(pair, tokenAddress) {
+  return pair.token0.address === tokenAddress ? pair.token1 : pair.token0;
+}
+
+// Build the token index for a snapshot: address -> { asset, pairs }
+function buildTokenIndex(snapshot) {
+  const index = new Map();
+
+  snapshot.assets.forEach(asset => {
+    if (asset.contractAddress) {
+      index.set(asset.contractAddress, { asset, pairs: [] });
+    }
+  });
+
+  snapshot.pairs.forEach(pair => {
+    [pair.token0.address, pair.token1.address].forEach(address => {
+      if (index.has(address)) index.get(address).pairs.push(pair);
+    });
+  });
+
+  return index;
+}
+
+// Get the (cached) token index for a snapshot
+function getTokenIndex(snapshot) {
+  recordCacheLookup('token_index', indexCache.has(snapshot));
+  if (!indexCache.has(snapshot)) {
+    indexCache.set(snapshot, buildTokenIndex(snapshot));
+  }
+  return indexCache.get(snapshot);
+}
+
+// Liquidity-weighted USD price of a token across its pools
+function weightedUsdPrice(address, pairs) {
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  pairs.forEach(pair => {
+    const other = otherToken(pair, address);
+    if (!(other.usdPrice > 0) || !(pair.liquidity > 0)) return;
+
+    const price = impliedPrice(pair, address) * other.usdPrice;
+    if (!(price > 0) || !Number.isFinite(price)) return;
+
+    weightedSum += price * pair.liquidity;
+    totalWeight += pair.liquidity;
+  });
+
+  return totalWeight > 0 ? weightedSum / totalWeight : 0;
+}
+
+// Summarize a token: prices, totals and (optionally) every pool it is in
+function summarizeToken(snapshot, address, { includePools = true } = {}) {
+  const entry = getTokenIndex(snapshot).get(address);
+  if (!entry) return null;
+
+  const { asset, pairs } = entry;
+  const upstreamUsdPrice = parseFloat(getAssetUsdPrice(asset));
+  const poolUsdPrice = weightedUsdPrice(address, pairs);
+  const priceUsd = poolUsdPrice || upstreamUsdPrice;
+
+  const tonUsdPrice = getTonUsdPrice(snapshot);
+
+  const summary = {
+    address: address,
+    symbol: asset.symbol,
+    name: asset.displayName || asset.symbol,
+    decimals: asset.decimals,
+    priceUsd: priceUsd,
+    priceTon: tonUsdPrice > 0 ? priceUsd / tonUsdPrice : null,
+    priceSource: poolUsdPrice ? 'pools' : upstreamUsdPrice ? 'upstream' : 'none',
+    upstreamUsdPrice: upstreamUsdPrice,
+    totalLiquidity: pairs.reduce((total, pair) => total + pair.liquidity, 0),
+    totalVolume24h: pairs.reduce((total, pair) => total + pair.volume24h, 0),
+    poolCount: pairs.length,
+    asset: asset
+  };
+
+  if (includePools) {
+    summary.pools = pairs
+      .slice()
+      .sort((a, b) => b.liquidity - a.liquidity)
+      .map(pair => {
+        const other = otherToken(pair, address);
+        return {
+          poolAddress: pair.poolAddress,
+          name: pair.name,
+          pairedWith: { symbol: other.symbol, address: other.address },
+          price: impliedPrice(pair, address),
+          liquidity: pair.liquidity,
+          volume24h: pair.volume24h,
+          apy: pair.apy
+        };
+      });
+  }
+
+  return summary;
+}
+
+// TON's USD price for a snapshot (0 when TON can't be found or priced)
+function getTonUsdPrice(snapshot) {
+  if (!tonPriceCache.has(snapshot)) {
+    const tonAsset = findTonAsset(snapshot.assets);
+    const entry = tonAsset ? getTokenIndex(snapshot).get(tonAsset.contractAddress) : null;
+    const poolPrice = entry ? weightedUsdPrice(tonAsset.contractAddress, entry.pairs) : 0;
+    tonPriceCache.set(snapshot, poolPrice || (tonAsset ? parseFloat(getAssetUsdPrice(tonAsset)) : 0));
+  }
+  return tonPriceCache.get(snapshot);
+}
+
+// Summaries of every token that trades in at least one pool, most liquid first
+function listTokens(snapshot) {
+  recordCacheLookup('token_list', listCache.has(snapshot));
+  if (!listCache.has(snapshot)) {
+    const tokens = [];
+    getTokenIndex(snapshot).forEach((entry, address) => {
+      if (entry.pairs.length > 0) {
+        tokens.push(summarizeToken(snapshot, address, { includePools: false }));
+      }
+    });
+    listCache.set(snapshot, tokens.sort((a, b) => b.totalLiquidity - a.totalLiquidity));
+  }
+  return listCache.get(snapshot);
+}
+
+module.exports = {
+  findTonAsset,
+  impliedPrice,
+  getTokenIndex,
+  getTonUsdPrice,
+  summarizeToken,
+  listTokens
+};
@@ -0,0 +1,237 @@
+// lib/upstream.js - Timeouts, retries and a circuit breaker around STON.fi calls
+//
+// Every call of a network-backed data source gets a timeout (UPSTREAM_TIMEOUT)
+// and is retried (UPSTREAM_RETRIES times) with exponential backoff and full
+// jitter when it fails in a way that may pass: timeouts, network errors, 429s
+// and 5xx responses. Other errors (e.g. a 400 for bad swap parameters) come
+// straight back. After UPSTREAM_BREAKER_THRESHOLD retryable failures in a row
+// the breaker opens and calls fail fast for UPSTREAM_BREAKER_COOLDOWN ms; then
+// a single trial call is let through (half-open) and closes it again on success.
+//
+// Errors thrown from here carry an HTTP `status` for handlers to answer with:
+// 504 for a timeout, 503 while the breaker is open, 502 for other upstream failures.
+const { registry } = require('./metrics');
+const { logger } = require('./logger');
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 250;
+const DEFAULT_BREAKER_THRESHOLD = 5;
+const DEFAULT_BREAKER_COOLDOWN = 30000;
+
+const BREAKER_STATES = ['closed', 'half_open', 'open'];
+
+const upstreamLogger = logger.child({ component: 'upstream' });
+
+const upstreamRetries = registry.counter(
+  'stonfi_upstream_retries_total',
+  'Retried calls to the STON.fi data source, by operation',
+  ['source', 'operation']
+);
+const upstreamTimeouts = registry.counter(
+  'stonfi_upstream_timeouts_total',
+  'Calls to the STON.fi data source that timed out, by operation',
+  ['source', 'operation']
+);
+const upstreamRejected = registry.counter(
+  'stonfi_upstream_rejected_total',
+  'Calls failed fast because the circuit breaker was open, by operation',
+  ['source', 'operation']
+);
+
+// Breakers of every resilient source in this process, for the state gauge
+const breakers = new Set();
+
+registry.gauge(
+  'stonfi_upstream_circuit_state',
+  'Circuit breaker state of the STON.fi data source (0 closed, 1 half-open, 2 open)',
+  () => [...breakers].map(breaker => ({
+    labels: { source: breaker.source },
+    value: BREAKER_STATES.indexOf(breaker.getState())
+  }))
+);
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Helper function to read the HTTP status of an upstream error (ofetch and friends)
+function getStatusCode(error) {
+  return error.statusCode || error.status || (error.response && error.response.status) || null;
+}
+
+// Helper function to decide whether a failed call is worth retrying (and counts against the breaker)
+function isRetryable(error) {
+  if (error.code === 'UPSTREAM_TIMEOUT') return true;
+  const statusCode = getStatusCode(error);
+  if (!statusCode) return true; // Network error: DNS, reset connection, ...
+  return statusCode === 429 || statusCode >= 500;
+}
+
+// Helper function to build an error with the HTTP status handlers should answer with
+function upstreamError(message, code, status, cause) {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  if (cause) error.cause = cause;
+  return error;
+}
+
+// Helper function to reject when a call takes longer than `timeout` ms. The SDK
+// can't cancel a request, so a late response is simply ignored.
+function withTimeout(promise, timeout, operation) {
+  let timer;
+  const timedOut = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(upstreamError(`STON.fi ${operation} timed out after ${timeout}ms`, 'UPSTREAM_TIMEOUT', 504));
+    }, timeout);
+  });
+  return Promise.race([promise, timedOut]).finally(() => clearTimeout(timer));
+}
+
+// Create a circuit breaker that opens after `threshold` failures in a row
+function createCircuitBreaker({ source, threshold, cooldown }) {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  function getState() {
+    if (state === 'open' && Date.now() - openedAt >= cooldown) state = 'half_open';
+    return state;
+  }
+
+  // Whether a call may go out now; in half-open state only one trial call at a time
+  function tryAcquire() {
+    const current = getState();
+    if (current === 'closed') return true;
+    if (current === 'half_open' && !trialInFlight) {
+      trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  function onSuccess() {
+    if (state !== 'closed') upstreamLogger.info('Circuit breaker closed', { source });
+    state = 'closed';
+    consecutiveFailures = 0;
+    openedAt = null;
+    trialInFlight = false;
+  }
+
+  function onFailure() {
+    consecutiveFailures++;
+    trialInFlight = false;
+    if (state === 'half_open' || (state === 'closed' && consecutiveFailures >= threshold)) {
+      state = 'open';
+      openedAt = Date.now();
+      upstreamLogger.warn('Circuit breaker opened', { source, consecutiveFailures, cooldownMs: cooldown });
+    }
+  }
+
+  // Release a half-open trial that ended without telling us anything (non-retryable error)
+  function onNeutral() {
+    trialInFlight = false;
+  }
+
+  return {
+    source,
+    getState,
+    tryAcquire,
+    onSuccess,
+    onFailure,
+    onNeutral,
+    describe: () => ({
+      state: getState(),
+      consecutiveFailures,
+      openedAt,
+      retryAt: state === 'open' ? openedAt + cooldown : null
+    })
+  };
+}
+
+// Wrap every call of a data source with the timeout, retry and breaker policy.
+// The result also has getStatus() describing the upstream for health checks.
+function createResilientSource(source, {
+  timeout = parseInt(process.env.UPSTREAM_TIMEOUT) || DEFAULT_TIMEOUT,
+  retries = process.env.UPSTREAM_RETRIES !== undefined ? parseInt(process.env.UPSTREAM_RETRIES) || 0 : DEFAULT_RETRIES,
+  retryDelay = parseInt(process.env.UPSTREAM_RETRY_DELAY) || DEFAULT_RETRY_DELAY,
+  breakerThreshold = parseInt(process.env.UPSTREAM_BREAKER_THRESHOLD) || DEFAULT_BREAKER_THRESHOLD,
+  breakerCooldown = parseInt(process.env.UPSTREAM_BREAKER_COOLDOWN) || DEFAULT_BREAKER_COOLDOWN
+} = {}) {
+  const breaker = createCircuitBreaker({ source: source.mode, threshold: breakerThreshold, cooldown: breakerCooldown });
+  breakers.add(breaker);
+
+  let lastSuccessAt = null;
+  let lastFailure = null;
+
+  async function call(operation, args) {
+    const labels = { source: source.mode, operation };
+
+    for (let attempt = 1; ; attempt++) {
+      if (!breaker.tryAcquire()) {
+        upstreamRejected.inc(labels);
+        const { retryAt } = breaker.describe();
+        throw upstreamError(
+          `STON.fi is unavailable (circuit breaker open${retryAt ? ` until ${new Date(retryAt).toISOString()}` : ''})`,
+          'UPSTREAM_UNAVAILABLE',
+          503,
+          lastFailure && lastFailure.error
+        );
+      }
+
+      try {
+        const result = await withTimeout(source[operation](...args), timeout, operation);
+        breaker.onSuccess();
+        lastSuccessAt = Date.now();
+        return result;
+      } catch (error) {
+        if (!isRetryable(error)) {
+          breaker.onNeutral();
+          throw error;
+        }
+
+        breaker.onFailure();
+        lastFailure = { at: Date.now(), operation, error };
+        if (error.code === 'UPSTREAM_TIMEOUT') upstreamTimeouts.inc(labels);
+
+        if (attempt > retries || breaker.getState() === 'open') {
+          if (error.status) throw error;
+          throw upstreamError(`STON.fi ${operation} failed: ${error.message}`, 'UPSTREAM_ERROR', 502, error);
+        }
+
+        upstreamRetries.inc(labels);
+        upstreamLogger.debug('Retrying upstream call', { source: source.mode, operation, attempt, error });
+        await sleep(Math.random() * retryDelay * Math.pow(2, attempt - 1));
+      }
+    }
+  }
+
+  const resilient = { ...source };
+  Object.entries(source).forEach(([operation, value]) => {
+    if (typeof value === 'function') resilient[operation] = (...args) => call(operation, args);
+  });
+
+  resilient.getStatus = () => ({
+    mode: source.mode,
+    circuit: breaker.describe(),
+    lastSuccessAt,
+    lastFailure: lastFailure ? {
+      at: lastFailure.at,
+      operation: lastFailure.operation,
+      error: lastFailure.error.message
+    } : null,
+    policy: { timeout, retries, retryDelay, breakerThreshold, breakerCooldown }
+  });
+
+  return resilient;
+}
+
+module.exports = {
+  BREAKER_STATES,
+  isRetryable,
+  withTimeout,
+  createCircuitBreaker,
+  createResilientSource
+};
@@ -0,0 +1,271 @@
+// lib/validation.js - Declarative request validation for the route table
+//
+// A route's `schema` describes its path params and query string (a map of
+// field -> schema, with `required` and `description` on the field) and its JSON
+// body (an object schema). Schemas are a subset of the OpenAPI 3.0 Schema
+// Object: type, enum, minimum/maximum (with exclusiveMinimum/exclusiveMaximum),
+// minLength/maxLength, pattern, items/minItems/maxItems, properties/required
+// and default, plus the string format `ton-address`: any of the three address
+// forms is accepted (checksum included) and replaced by the canonical one (see
+// lib/address.js). The same schemas generate the OpenAPI document (see
+// lib/openapi.js), so the docs can't drift from what is enforced.
+//
+// Path and query values arrive as strings and are coerced to the declared
+// type; array fields take comma-separated lists. In a body, numbers are
+// accepted where a string is declared (e.g. an amount in units). Validated
+// values, with defaults filled in, replace the raw ones on req.params,
+// req.query and req.body. Problems are answered with a 400:
+//   { success: false, error: 'Invalid request', details: [{ location, field, message }] }
+const { normalizeAddress } = require('./address');
+
+// String formats that are checked and normalized: value -> normalized value or null
+const FORMATS = {
+  'ton-address': {
+    normalize: normalizeAddress,
+    message: 'must be a TON address (raw 0:hex or user-friendly form) with a valid checksum'
+  }
+};
+
+// Helper function to describe a number bound in a message
+function describeBound(schema, bound) {
+  return bound === 'minimum'
+    ? `must be ${schema.exclusiveMinimum ? 'greater than' : 'at least'} ${schema.minimum}`
+    : `must be ${schema.exclusiveMaximum ? 'less than' : 'at most'} ${schema.maximum}`;
+}
+
+// Helper function to check the constraints of an already typed value; a message or null
+function checkConstraints(value, schema) {
+  if (schema.enum && !schema.enum.includes(value)) {
+    return `must be one of: ${schema.enum.join(', ')}`;
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined &&
+        (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum)) {
+      return describeBound(schema, 'minimum');
+    }
+    if (schema.maximum !== undefined &&
+        (schema.exclusiveMaximum ? value >= schema.maximum : value > schema.maximum)) {
+      return describeBound(schema, 'maximum');
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`;
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return `must be at most ${schema.maxLength} characters`;
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return schema.patternMessage || `must match ${schema.pattern}`;
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return `must list at least ${schema.minItems} value${schema.minItems === 1 ? '' : 's'}`;
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return `must list at most ${schema.maxItems} values`;
+    }
+  }
+
+  return null;
+}
+
+// Helper function to coerce a string from the URL to the declared scalar type
+function coerceString(value, type) {
+  const text = value.trim();
+  switch (type) {
+    case 'integer':
+      return /^[+-]?\d+$/.test(text) ? { value: parseInt(text, 10) } : { error: 'must be an integer' };
+    case 'number': {
+      const number = Number(text);
+      return text !== '' && Number.isFinite(number) ? { value: number } : { error: 'must be a number' };
+    }
+    case 'boolean':
+      if (text === 'true' || text === '1') return { value: true };
+      if (text === 'false' || text === '0') return { value: false };
+      return { error: 'must be true or false' };
+    default:
+      return { value: value };
+  }
+}
+
+// Helper function to check a JSON value against the declared type (no coercion
+// except numbers for strings)
+function checkJsonType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value) ? { value } : { error: 'must be an integer' };
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value) ? { value } : { error: 'must be a number' };
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : { error: 'must be true or false' };
+    case 'string':
+      if (typeof value === 'number' && Number.isFinite(value)) return { value: String(value) };
+      return typeof value === 'string' ? { value } : { error: 'must be a string' };
+    case 'array':
+      return Array.isArray(value) ? { value } : { error: 'must be an array' };
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value)
+        ? { value }
+        : { error: 'must be an object' };
+    default:
+      return { value };
+  }
+}
+
+// Validate one value; pushes problems onto `errors` and returns the typed value
+function validateValue(raw, schema, { location, field, fromUrl, errors }) {
+  const fail = message => {
+    errors.push({ location, field, message });
+    return undefined;
+  };
+
+  let typed;
+  if (fromUrl) {
+    if (raw !== null && typeof raw === 'object' && !Array.isArray(raw)) return fail('must be a plain value');
+
+    if (schema.type === 'array') {
+      // Comma-separated, and/or the parameter repeated
+      typed = [].concat(raw).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+    } else {
+      if (Array.isArray(raw)) return fail('must be given at most once');
+      const coerced = coerceString(String(raw), schema.type);
+      if (coerced.error) return fail(coerced.error);
+      typed = coerced.value;
+    }
+  } else {
+    const checked = checkJsonType(raw, schema.type);
+    if (checked.error) return fail(checked.error);
+    typed = checked.value;
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    const before = errors.length;
+    typed = typed.map((item, index) => validateValue(item, schema.items, {
+      location,
+      field: fromUrl ? field : `${field}[${index}]`,
+      fromUrl,
+      errors
+    }));
+    if (errors.length > before) return undefined;
+  }
+
+  if (schema.type === 'object' && schema.properties) {
+    return validateObject(typed, schema, { location, prefix: `${field}.`, errors });
+  }
+
+  const problem = checkConstraints(typed, schema);
+  if (problem) return fail(problem);
+
+  const format = typeof typed === 'string' && FORMATS[schema.format];
+  if (format) {
+    const normalized = format.normalize(typed);
+    return normalized === null ? fail(format.message) : normalized;
+  }
+  return typed;
+}
+
+// Helper function to validate the properties of an object (a JSON body or nested object)
+function validateObject(value, schema, { location, prefix = '', errors }) {
+  const result = { ...value };
+  const required = schema.required || [];
+
+  Object.entries(schema.properties || {}).forEach(([name, propertySchema]) => {
+    const field = `${prefix}${name}`;
+    if (value[name] === undefined || value[name] === null) {
+      if (required.includes(name)) {
+        errors.push({ location, field, message: 'is required' });
+      } else if (propertySchema.default !== undefined) {
+        result[name] = propertySchema.default;
+      }
+      return;
+    }
+    result[name] = validateValue(value[name], propertySchema, { location, field, fromUrl: false, errors });
+  });
+
+  return result;
+}
+
+// Helper function to validate path params or the query string against a field map
+function validateFields(values, fields, location, errors) {
+  const result = {};
+
+  Object.entries(fields).forEach(([field, schema]) => {
+    const raw = values[field];
+    if (raw === undefined || raw === '') {
+      if (schema.required) {
+        errors.push({ location, field, message: 'is required' });
+      } else if (schema.default !== undefined) {
+        result[field] = schema.default;
+      }
+      return;
+    }
+    const typed = validateValue(raw, schema, { location, field, fromUrl: true, errors });
+    if (typed !== undefined) result[field] = typed;
+  });
+
+  return result;
+}
+
+// Validate a request against a route schema: { params, query, body, errors }
+function validateRequest(schema, req) {
+  const errors = [];
+  const params = schema.params ? validateFields(req.params || {}, schema.params, 'params', errors) : {};
+  const query = schema.query ? validateFields(req.query || {}, schema.query, 'query', errors) : {};
+  let body = req.body;
+
+  if (schema.body) {
+    const checked = checkJsonType(req.body, 'object');
+    if (checked.error) {
+      errors.push({ location: 'body', field: '', message: 'must be a JSON object' });
+    } else {
+      body = validateObject(req.body, schema.body, { location: 'body', errors });
+    }
+  }
+
+  return { params, query, body, errors };
+}
+
+// Answer a 400 listing field-level problems (also used by handlers for checks a
+// schema can't express, e.g. from <= to)
+function rejectInvalid(res, details) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid request',
+    details: details
+  });
+}
+
+// Wrap a route handler with its schema; routes without one (or with
+// validate: false) are passed through untouched
+function withValidation(route, handler) {
+  if (!route.schema || route.validate === false) return handler;
+
+  return function validatedHandler(req, res) {
+    const { params, query, body, errors } = validateRequest(route.schema, req);
+    if (errors.length > 0) return rejectInvalid(res, errors);
+
+    if (route.schema.params) req.params = { ...req.params, ...params };
+    if (route.schema.query) {
+      // An own property: Express 5 re-parses req.query from the URL on every read
+      Object.defineProperty(req, 'query', {
+        value: { ...req.query, ...query },
+        writable: true,
+        configurable: true,
+        enumerable: true
+      });
+    }
+    if (route.schema.body) req.body = body;
+    return handler(req, res);
+  };
+}
+
+module.exports = {
+  validateRequest,
+  rejectInvalid,
+  withValidation
+};
@@ -0,0 +1,28 @@
+// lib/vercel.js - Adapter turning a shared route handler into a Vercel function
+const { instrumentRoute } = require('./metrics');
+const { routes } = require('./routes');
+const { access } = require('./context');
+const { withValidation } = require('./validation');
+
+// Wrap a shared (req, res) handler so it can be the default export of an api/ file.
+// `method` may be a list when one file serves several methods.
+function createVercelHandler(method, handler) {
+  const methods = [].concat(method);
+  // Label metrics and logs with the route path the handler is registered under,
+  // and apply that route's access level, cost and request schema
+  const route = routes.find(entry => entry.handler === handler && methods.includes(entry.method)) ||
+    { path: handler.name };
+  const instrumented = instrumentRoute(route.path, access.protect(route, withValidation(route, handler)));
+
+  return async function vercelHandler(req, res) {
+    if (!methods.includes(req.method)) {
+      return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    // Vercel passes dynamic path segments (e.g. [poolAddress].js) through req.query
+    req.params = { ...req.query, ...req.params };
+    return instrumented(req, res);
+  };
+}
+
+module.exports = { createVercelHandler };
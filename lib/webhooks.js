@@ -0,0 +1,128 @@
+// lib/webhooks.js - Signed webhook delivery with retries and deduplication
+//
+// Payloads are POSTed as JSON with an HMAC-SHA256 signature over
+// "<timestamp>.<body>" in the X-StonFi-Signature header. Network errors, 429s
+// and 5xx responses are retried with exponential backoff and jitter; a delivery
+// id that was already delivered (or is in flight) is never sent twice.
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { logger } = require('./logger');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BASE_DELAY = 1000;
+const DEFAULT_TIMEOUT = 10000;
+const MAX_REMEMBERED_DELIVERIES = 5000;
+
+const webhookLogger = logger.child({ component: 'webhooks' });
+
+// Helper function to sign a payload the way receivers are expected to verify it
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Helper function to POST a JSON body, resolving with the response status code
+function postJson(url, body, headers, timeout) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers
+      },
+      timeout: timeout
+    }, res => {
+      // Drain the response so the socket can be reused
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Webhook timed out after ${timeout}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Helper function to decide whether a failed attempt is worth retrying
+function isRetryable(statusCode) {
+  return statusCode === undefined || statusCode === 429 || statusCode >= 500;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Create a webhook sender
+function createWebhookSender({
+  secret = process.env.ALERT_WEBHOOK_SECRET || '',
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  baseDelay = DEFAULT_BASE_DELAY,
+  timeout = DEFAULT_TIMEOUT
+} = {}) {
+  // Delivery ids already delivered or in flight, oldest first
+  const seen = new Set();
+
+  function remember(deliveryId) {
+    seen.add(deliveryId);
+    if (seen.size > MAX_REMEMBERED_DELIVERIES) {
+      seen.delete(seen.values().next().value);
+    }
+  }
+
+  // Deliver a payload; resolves with the delivery outcome and never rejects
+  async function send(url, payload, { deliveryId, secret: payloadSecret } = {}) {
+    const id = deliveryId || crypto.randomUUID();
+    if (seen.has(id)) {
+      return { deliveryId: id, delivered: false, duplicate: true, attempts: 0 };
+    }
+    remember(id);
+
+    const body = JSON.stringify(payload);
+    const signingSecret = payloadSecret || secret;
+    let lastError = null;
+    let attempts = 0;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      attempts = attempt;
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const headers = {
+        'User-Agent': 'stonfi-price-fetcher',
+        'X-StonFi-Delivery': id,
+        'X-StonFi-Timestamp': timestamp
+      };
+      if (signingSecret) {
+        headers['X-StonFi-Signature'] = `sha256=${signPayload(signingSecret, timestamp, body)}`;
+      }
+
+      let statusCode;
+      try {
+        statusCode = await postJson(url, body, headers, timeout);
+        if (statusCode >= 200 && statusCode < 300) {
+          return { deliveryId: id, delivered: true, attempts: attempt, statusCode };
+        }
+        lastError = new Error(`Webhook responded with HTTP ${statusCode}`);
+      } catch (error) {
+        lastError = error;
+      }
+
+      if (!isRetryable(statusCode) || attempt === maxAttempts) break;
+
+      // Exponential backoff with full jitter
+      await sleep(Math.random() * baseDelay * Math.pow(2, attempt - 1));
+    }
+
+    webhookLogger.error('Webhook delivery failed', { deliveryId: id, url, attempts, error: lastError });
+    return { deliveryId: id, delivered: false, attempts, error: lastError.message };
+  }
+
+  return { send };
+}
+
+module.exports = {
+  createWebhookSender,
+  signPayload
+};
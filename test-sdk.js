@@ -1,14 +1,16 @@
 // test-sdk.js - Simple test to verify STON.fi SDK
-const { StonApiClient } = require('@ston-fi/api');
+// Run with STONFI_DATA_SOURCE=record to capture fixtures for offline replay
+const { createDataSource } = require('./lib/dataSource');
 
 async function testStonFiSdk() {
     console.log('🔍 Testing STON.fi SDK...');
     
     try {
-        const client = new StonApiClient();
+        const dataSource = createDataSource();
+        console.log(`📁 Data source: ${dataSource.mode}`);
         
         console.log('📡 Fetching assets...');
-        const assetsResponse = await client.getAssets();
+        const assetsResponse = await dataSource.getAssets();
         console.log('✅ Assets response structure:', Object.keys(assetsResponse));
         
         const assets = assetsResponse.asset_list || assetsResponse;
@@ -25,7 +27,7 @@ async function testStonFiSdk() {
         }
         
         console.log('\n🏊 Fetching pools...');
-        const poolsResponse = await client.getPools();
+        const poolsResponse = await dataSource.getPools();
         console.log('✅ Pools response structure:', Object.keys(poolsResponse));
         
         const pools = poolsResponse.pool_list || poolsResponse;
@@ -45,7 +47,7 @@ async function testStonFiSdk() {
         // Test specific pair lookup
         console.log('\n🔄 Testing specific pair...');
         try {
-            const pairPools = await client.getPoolsByAssetPair({
+            const pairPools = await dataSource.getPoolsByAssetPair({
                 asset0Address: "EQCymLRXp1QYxZKek4CTInckB1ey5TkyAJQpPAlNetiO54Vt", // TON
                 asset1Address: "EQBgI-rl6SzhJp5Rtoqg0JlWsgPH4rnVkU6EAnD1yvOuzMPG", // SW
             });